@@ -1,20 +1,140 @@
 const mongoose = require('mongoose');
 
+const commentSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: { type: String, required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  editedAt: { type: Date, default: null }
+});
+
+const activitySchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    field: { type: String, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const checklistItemSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  done: { type: Boolean, default: false },
+  doneAt: { type: Date, default: null },
+  doneBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Both sides of a link share the same _id so either side can remove the pair.
+const cardLinkSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['blocks', 'is-blocked-by', 'relates-to', 'duplicates', 'is-duplicated-by'],
+    required: true
+  },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  card: { type: mongoose.Schema.Types.ObjectId, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Unresolved mentions keep the raw handle with a null user so they can be flagged.
+const mentionSchema = new mongoose.Schema(
+  {
+    handle: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    email: { type: String, default: null },
+    resolved: { type: Boolean, default: false },
+    source: { type: String, enum: ['description', 'comment'], default: 'description' },
+    comment: { type: mongoose.Schema.Types.ObjectId, default: null }
+  },
+  { _id: false }
+);
+
+// The file itself lives in the configured attachment storage under storageKey.
+const attachmentSchema = new mongoose.Schema({
+  fileName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  storageKey: { type: String, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// Durations are stored in minutes.
+const worklogSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  minutes: { type: Number, required: true, min: 1 },
+  startedAt: { type: Date, default: Date.now },
+  note: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const labelSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  color: { type: String, default: '#6B778C' }
+});
+
+// Cards keep a copy of each label (same _id as the registry entry) so they can
+// be rendered on their own; label routes keep the copies in sync.
+const cardLabelSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  color: { type: String, default: '#6B778C' }
+});
+
 const boardCardSchema = new mongoose.Schema(
   {
     title: { type: String, default: 'Scrum 1' },
     description: { type: String, default: '' },
     status: { type: String, required: true },
     assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
-    dueDate: { type: Date, default: Date.now }
-  },
-  { _id: false }
+    dueDate: { type: Date, default: Date.now },
+    number: { type: Number },
+    key: { type: String },
+    parentCard: { type: mongoose.Schema.Types.ObjectId, default: null },
+    checklist: { type: [checklistItemSchema], default: [] },
+    issueType: { type: String, default: 'task' },
+    priority: { type: String, default: 'medium' },
+    labels: { type: [cardLabelSchema], default: [] },
+    epic: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sprint: { type: mongoose.Schema.Types.ObjectId, default: null },
+    storyPoints: { type: Number, default: null },
+    originalEstimate: { type: Number, default: null },
+    remainingEstimate: { type: Number, default: null },
+    timeSpent: { type: Number, default: 0 },
+    worklogs: { type: [worklogSchema], default: [] },
+    attachments: { type: [attachmentSchema], default: [] },
+    watchers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    mentions: { type: [mentionSchema], default: [] },
+    // Keyed by the project's custom field id.
+    customFieldValues: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Set while the card is in the project's backlog.
+    backlogAt: { type: Date, default: null },
+    archivedAt: { type: Date, default: null },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    links: { type: [cardLinkSchema], default: [] },
+    comments: { type: [commentSchema], default: [] },
+    activity: { type: [activitySchema], default: [] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+  }
 );
 
 const boardColumnSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     order: { type: Number, default: 0 },
+    // Work-in-progress limit; null means unlimited.
+    wipLimit: { type: Number, default: null, min: 1 },
+    // null falls back to the column's position (first to-do, last done).
+    category: { type: String, enum: ['to-do', 'in-progress', 'done'], default: null },
     cards: { type: [boardCardSchema], default: [] }
   },
   { _id: false }
@@ -43,27 +163,127 @@ const inviteSchema = new mongoose.Schema({
   cancelledAt: { type: Date }
 });
 
+const customFieldSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'single-select', 'multi-select', 'user'],
+    required: true
+  },
+  options: { type: [String], default: [] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const epicSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  color: { type: String, default: '#6554C0' },
+  status: {
+    type: String,
+    enum: ['to-do', 'in-progress', 'done'],
+    default: 'to-do'
+  },
+  targetDate: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Card ids are snapshotted when the sprint starts and when it is completed so
+// reports don't depend on where the cards are now.
+const sprintSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  goal: { type: String, default: '' },
+  startDate: { type: Date, default: null },
+  endDate: { type: Date, default: null },
+  state: {
+    type: String,
+    enum: ['planned', 'active', 'closed'],
+    default: 'planned'
+  },
+  startedAt: { type: Date, default: null },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  completedAt: { type: Date, default: null },
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  committedCards: [{ type: mongoose.Schema.Types.ObjectId }],
+  completedCards: [{ type: mongoose.Schema.Types.ObjectId }],
+  carriedOverCards: [{ type: mongoose.Schema.Types.ObjectId }],
+  // null when unfinished cards went back to the backlog.
+  carriedOverTo: { type: mongoose.Schema.Types.ObjectId, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const issueSchemeSchema = new mongoose.Schema(
+  {
+    issueTypes: { type: [String], default: undefined },
+    priorities: { type: [String], default: undefined },
+    defaultIssueType: { type: String },
+    defaultPriority: { type: String }
+  },
+  { _id: false }
+);
+
+// Empty lists fall back to the defaults worked out from the board.
+const flowSettingsSchema = new mongoose.Schema(
+  {
+    startedColumns: { type: [String], default: [] },
+    doneColumns: { type: [String], default: [] }
+  },
+  { _id: false }
+);
+
+const columnRenameSchema = new mongoose.Schema(
+  {
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const projectSchema = new mongoose.Schema(
   {
     owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     name: { type: String, required: true },
+    key: { type: String, uppercase: true, trim: true, unique: true, sparse: true },
+    issueCounter: { type: Number, default: 0 },
     description: { type: String, default: '' },
     status: {
       type: String,
       enum: ['created', 'in-progress', 'completed'],
       default: 'created'
     },
+    // Set when the owner picks the status by hand; otherwise it follows the board.
+    statusOverride: { type: Boolean, default: false },
     boardType: {
       type: String,
       enum: ['scrum', 'kanban'],
       default: 'scrum'
     },
+    // Name of the active sprint; kept for clients that predate `sprints`.
     currentSprint: { type: String, default: 'Scrum 1' },
+    sprints: { type: [sprintSchema], default: [] },
     columns: { type: [boardColumnSchema], default: [] },
+    // Off-board cards; a card's status still names the column it left (or, for
+    // new backlog cards, the column it will enter). The backlog is kept in rank order.
+    backlog: { type: [boardCardSchema], default: [] },
+    archivedCards: { type: [boardCardSchema], default: [] },
+    trash: { type: [boardCardSchema], default: [] },
+    labels: { type: [labelSchema], default: [] },
+    issueScheme: { type: issueSchemeSchema, default: null },
+    epics: { type: [epicSchema], default: [] },
+    customFields: { type: [customFieldSchema], default: [] },
+    flowSettings: { type: flowSettingsSchema, default: null },
+    // Lets flow metrics map statuses recorded under an old column name.
+    columnRenames: { type: [columnRenameSchema], default: [] },
     members: { type: [memberSchema], default: [] },
     invites: { type: [inviteSchema], default: [] }
   },
   { timestamps: true }
 );
 
+projectSchema.index({ 'columns.cards.key': 1 });
+projectSchema.index({ 'trash.deletedAt': 1 });
+
 module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,149 @@
+// cardTrash.js
+const mongoose = require('mongoose');
+const Project = require('./Models/Project');
+const { getAttachmentStorage } = require('./storage');
+
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards also live off the board (backlog, archive, trash), so project-wide
+// card updates and lookups have to reach every one of those arrays.
+const CARD_COLLECTIONS = ['columns.$[].cards', 'backlog', 'archivedCards', 'trash'];
+const CARD_QUERY_PATHS = ['columns.cards', 'backlog', 'archivedCards', 'trash'];
+
+function everyCardPath(suffix, value) {
+  return Object.fromEntries(CARD_COLLECTIONS.map((collection) => [`${collection}.${suffix}`, value]));
+}
+
+function anyCardMatches(suffix, value) {
+  return { $or: CARD_QUERY_PATHS.map((path) => ({ [`${path}.${suffix}`]: value })) };
+}
+
+// Card arrays the project-wide updates above step into with `$[]` or
+// `$[<id>]`; MongoDB rejects those updates when the array is missing.
+const NESTED_CARD_ARRAYS = ['labels', 'links'];
+const OFF_BOARD_COLLECTIONS = ['backlog', 'archivedCards', 'trash'];
+
+// Projects and cards saved before these arrays existed don't store them, and
+// schema defaults are not written by update queries. Run once at startup;
+// it only touches documents that are missing something.
+async function backfillCardCollections() {
+  for (const field of ['columns', ...OFF_BOARD_COLLECTIONS]) {
+    await Project.updateMany(
+      { [field]: { $not: { $type: 'array' } } },
+      { $set: { [field]: [] } }
+    );
+  }
+
+  await Project.updateMany(
+    { columns: { $elemMatch: { cards: { $not: { $type: 'array' } } } } },
+    { $set: { 'columns.$[column].cards': [] } },
+    { arrayFilters: [{ 'column.cards': { $not: { $type: 'array' } } }] }
+  );
+
+  for (const field of NESTED_CARD_ARRAYS) {
+    for (const [index, collection] of CARD_COLLECTIONS.entries()) {
+      await Project.updateMany(
+        { [CARD_QUERY_PATHS[index]]: { $elemMatch: { [field]: { $not: { $type: 'array' } } } } },
+        { $set: { [`${collection}.$[card].${field}`]: [] } },
+        { arrayFilters: [{ [`card.${field}`]: { $not: { $type: 'array' } } }] }
+      );
+    }
+  }
+}
+
+function getTrashPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Storage cleanup is best effort: a file that cannot be removed must not fail
+// the request that already removed its card.
+async function removeCardAttachments(cards = []) {
+  const storage = getAttachmentStorage();
+  const attachments = cards.flatMap((card) => card.attachments || []);
+
+  await Promise.all(attachments.map(async (attachment) => {
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (err) {
+      console.error('Remove attachment file error:', err);
+    }
+  }));
+}
+
+// Everything that still points at a permanently deleted card: its files,
+// its subtasks' parent reference and issue links from any project.
+async function releaseDeletedCards(projectId, cards = []) {
+  if (!cards.length)
+    return;
+
+  const cardIds = cards.map((card) => new mongoose.Types.ObjectId(String(card._id)));
+
+  await removeCardAttachments(cards);
+
+  await Project.updateOne(
+    { _id: projectId, ...anyCardMatches('parentCard', { $in: cardIds }) },
+    { $set: everyCardPath('$[child].parentCard', null), $inc: { __v: 1 } },
+    { arrayFilters: [{ 'child.parentCard': { $in: cardIds } }] }
+  );
+
+  await Project.updateMany(
+    anyCardMatches('links.card', { $in: cardIds }),
+    {
+      $pull: everyCardPath('$[].links', { card: { $in: cardIds } }),
+      $inc: { __v: 1 }
+    }
+  );
+}
+
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const projects = await Project.find({ 'trash.deletedAt': { $lte: cutoff } }, { _id: 1 }).lean();
+
+  let purged = 0;
+
+  for (const { _id } of projects) {
+    // The pre-update trash tells exactly which entries this pull removed, even
+    // if a card was restored in the meantime.
+    const previous = await Project.findOneAndUpdate(
+      { _id },
+      { $pull: { trash: { deletedAt: { $lte: cutoff } } }, $inc: { __v: 1 } },
+      { new: false, projection: { trash: 1 } }
+    ).lean();
+
+    const expired = ((previous && previous.trash) || [])
+      .filter((card) => new Date(card.deletedAt) <= cutoff);
+
+    // One project's cleanup failing must not hold up the rest of the run.
+    try {
+      await releaseDeletedCards(_id, expired);
+    } catch (err) {
+      console.error(`Release deleted cards error (project ${_id}):`, err);
+    }
+    purged += expired.length;
+  }
+
+  return purged;
+}
+
+function scheduleTrashPurge(intervalMs = 60 * 60 * 1000) {
+  const run = () => purgeExpiredTrash().catch((err) => console.error('Trash purge error:', err));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  backfillCardCollections,
+  everyCardPath,
+  anyCardMatches,
+  getTrashPurgeDate,
+  removeCardAttachments,
+  releaseDeletedCards,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
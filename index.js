@@ -9,6 +9,7 @@ const authRoutes = require('./routes/auth');
 const projectRoutes = require('./routes/projects');
 const userRoutes = require('./routes/users');
 const swaggerSpec = require('./swagger');
+const { backfillCardCollections, scheduleTrashPurge } = require('./cardTrash');
 
 const app = express();
 
@@ -28,6 +29,8 @@ app.get('/', (req, res) => {
 
 // start
 const PORT = process.env.PORT || 5000;
-connectDB().then(() => {
+connectDB().then(async () => {
+  await backfillCardCollections();
+  scheduleTrashPurge();
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
 });
@@ -0,0 +1,429 @@
+const express = require('express');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { getTrashPurgeDate } = require('../../cardTrash');
+const {
+  sendResponse,
+  handleRouteError,
+  findColumnIndex,
+  sortColumnsByOrder,
+  buildProjectAccessQuery,
+  isValidObjectId,
+  findCardLocation,
+  buildCardActivity,
+  syncProjectStatus,
+  takeCardOffBoard,
+  sendBoardConflict,
+  findProjectCard,
+  matchesCardSearch,
+  findColumnWipViolation,
+  sendWipLimitConflict
+} = require('./helpers');
+
+const router = express.Router();
+
+// Restored cards go back to the column they left, or the first column when
+// that one no longer exists.
+function findRestoreColumn(project, card) {
+  const columns = sortColumnsByOrder(project.columns || []);
+  const columnIndex = findColumnIndex(columns, card.status || '');
+
+  return columns[columnIndex === -1 ? 0 : columnIndex];
+}
+
+async function restoreCardToBoard(project, userId, card, source) {
+  const target = findRestoreColumn(project, card);
+  const at = new Date();
+  const cleared = { status: target.name, backlogAt: null, archivedAt: null, deletedAt: null };
+
+  const restored = {
+    ...card,
+    ...cleared,
+    archivedBy: null,
+    deletedBy: null,
+    updatedAt: at,
+    activity: [...(card.activity || []), ...buildCardActivity(card, cleared, userId, at)]
+  };
+
+  const updatedProject = await Project.findOneAndUpdate(
+    { ...buildProjectAccessQuery(project._id, userId), __v: project.__v },
+    {
+      $pull: { [source]: { _id: card._id } },
+      $push: { 'columns.$[column].cards': restored },
+      $inc: { __v: 1 }
+    },
+    { new: true, arrayFilters: [{ 'column.name': target.name }] }
+  );
+
+  return syncProjectStatus(updatedProject);
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/archive:
+ *   post:
+ *     summary: Archive a card, hiding it from the board
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Card archived
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/archive', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findProjectCard(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const at = new Date();
+    const archived = {
+      ...context.card,
+      archivedAt: at,
+      archivedBy: req.user.userId,
+      activity: [
+        ...(context.card.activity || []),
+        ...buildCardActivity(context.card, { archivedAt: at }, req.user.userId, at)
+      ]
+    };
+
+    const updatedProject = await takeCardOffBoard(context.project, req.user.userId, archived, 'archivedCards');
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const card = updatedProject.archivedCards.find((entry) => String(entry._id) === String(cardId));
+
+    return sendResponse(res, 200, 'Card archived', { card });
+  } catch (err) {
+    return handleRouteError(res, 'Archive card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/archive:
+ *   get:
+ *     summary: List or search the project's archived cards
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches title, description or issue key (case-insensitive)
+ *     responses:
+ *       200:
+ *         description: Archived cards fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     cards:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BoardCard'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/archive', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { archivedCards: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const cards = (project.archivedCards || [])
+      .filter((card) => matchesCardSearch(card, query))
+      .sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+
+    return sendResponse(res, 200, 'Archived cards fetched', { cards });
+  } catch (err) {
+    return handleRouteError(res, 'List archived cards error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/archive/{cardId}/restore:
+ *   post:
+ *     summary: Put an archived card back on the board
+ *     description: The card returns to the column it was archived from, or the first column if that one is gone.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *     responses:
+ *       200:
+ *         description: Card restored
+ *       400:
+ *         description: Invalid card id or the board has no columns
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or archived card not found
+ *       409:
+ *         description: WIP limit exceeded, or board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/archive/:cardId/restore', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1, archivedCards: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const card = (project.archivedCards || []).find((entry) => String(entry._id) === String(cardId));
+    if (!card)
+      return sendResponse(res, 404, 'Archived card not found');
+
+    if (!(project.columns || []).length)
+      return sendResponse(res, 400, 'Project has no board columns');
+
+    const wipViolation = (req.body || {}).overrideWipLimit === true
+      ? null
+      : findColumnWipViolation(findRestoreColumn(project, card));
+    if (wipViolation)
+      return sendWipLimitConflict(res, [wipViolation]);
+
+    const updatedProject = await restoreCardToBoard(project, req.user.userId, card, 'archivedCards');
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const location = findCardLocation(updatedProject.columns, cardId);
+
+    return sendResponse(res, 200, 'Card restored', {
+      card: location.card,
+      column: location.column.name
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Restore archived card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/trash:
+ *   get:
+ *     summary: List the project's trashed cards
+ *     description: Trashed cards are purged 30 days after deletion.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Trash fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     cards:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/BoardCard'
+ *                           - type: object
+ *                             properties:
+ *                               purgeAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/trash', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { trash: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const now = new Date();
+    const cards = (project.trash || [])
+      .map((card) => ({ ...card, purgeAt: getTrashPurgeDate(card.deletedAt) }))
+      .filter((card) => card.purgeAt > now)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+    return sendResponse(res, 200, 'Trash fetched', { cards });
+  } catch (err) {
+    return handleRouteError(res, 'List trash error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/trash/{cardId}/restore:
+ *   post:
+ *     summary: Restore a trashed card to its original column
+ *     description: Falls back to the first column if the original one is gone.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *     responses:
+ *       200:
+ *         description: Card restored
+ *       400:
+ *         description: Invalid card id or the board has no columns
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or trashed card not found
+ *       409:
+ *         description: WIP limit exceeded, or board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/trash/:cardId/restore', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1, trash: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const card = (project.trash || []).find((entry) => String(entry._id) === String(cardId));
+    if (!card || getTrashPurgeDate(card.deletedAt) <= new Date())
+      return sendResponse(res, 404, 'Trashed card not found');
+
+    if (!(project.columns || []).length)
+      return sendResponse(res, 400, 'Project has no board columns');
+
+    const wipViolation = (req.body || {}).overrideWipLimit === true
+      ? null
+      : findColumnWipViolation(findRestoreColumn(project, card));
+    if (wipViolation)
+      return sendWipLimitConflict(res, [wipViolation]);
+
+    const updatedProject = await restoreCardToBoard(project, req.user.userId, card, 'trash');
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const location = findCardLocation(updatedProject.columns, cardId);
+
+    return sendResponse(res, 200, 'Card restored', {
+      card: location.card,
+      column: location.column.name
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Restore trashed card error', err);
+  }
+});
+
+module.exports = router;
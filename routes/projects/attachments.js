@@ -0,0 +1,413 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { getAttachmentStorage } = require('../../storage');
+const { removeCardAttachments } = require('../../cardTrash');
+const {
+  sendResponse,
+  handleRouteError,
+  isProjectMember,
+  isProjectOwner,
+  isValidObjectId,
+  findCardLocation,
+  cardArrayFilters,
+  findBacklogEntry,
+  findCardContext,
+  findContextCard
+} = require('./helpers');
+
+const router = express.Router();
+
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+const ATTACHMENT_MIME_TYPES = process.env.ATTACHMENT_MIME_TYPES
+  ? process.env.ATTACHMENT_MIME_TYPES.split(',').map((type) => type.trim()).filter(Boolean)
+  : [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv'
+  ];
+
+const attachmentStorage = getAttachmentStorage();
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (ATTACHMENT_MIME_TYPES.includes(file.mimetype))
+      return callback(null, true);
+
+    req.rejectedMimeType = file.mimetype;
+    return callback(null, false);
+  }
+});
+
+function receiveAttachment(req, res, next) {
+  attachmentUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE')
+        return sendResponse(res, 413, `Attachments cannot exceed ${ATTACHMENT_MAX_BYTES} bytes`);
+
+      return sendResponse(res, 400, 'Upload a single file in the "file" field');
+    }
+
+    if (err)
+      return next(err);
+
+    if (req.rejectedMimeType)
+      return sendResponse(res, 415, `File type ${req.rejectedMimeType} is not allowed`);
+
+    return next();
+  });
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/attachments:
+ *   get:
+ *     summary: List a card's attachments
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Attachments fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     attachments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/attachments', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    return sendResponse(res, 200, 'Attachments fetched', {
+      attachments: context.card.attachments || []
+    });
+  } catch (err) {
+    return handleRouteError(res, 'List attachments error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/attachments:
+ *   post:
+ *     summary: Upload a file to a card
+ *     description: Size and MIME-type limits come from ATTACHMENT_MAX_BYTES and ATTACHMENT_MIME_TYPES.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded
+ *       400:
+ *         description: Missing file or invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: File type not allowed
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/attachments', authMiddleware, receiveAttachment, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    if (!req.file)
+      return sendResponse(res, 400, 'Upload a file in the "file" field');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const storageKey = await attachmentStorage.save({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
+
+    const now = new Date();
+    const attachmentId = new mongoose.Types.ObjectId();
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $push: {
+          [context.fieldPath('attachments')]: {
+            _id: attachmentId,
+            fileName: req.file.originalname,
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+            storageKey,
+            uploadedBy: req.user.userId,
+            uploadedAt: now
+          }
+        },
+        $set: { [context.fieldPath('updatedAt')]: now },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject) {
+      await removeCardAttachments([{ attachments: [{ storageKey }] }]);
+      return sendResponse(res, 404, 'Project or card not found');
+    }
+
+    const card = findContextCard(updatedProject, context, cardId);
+    const attachment = card.attachments.find((entry) => String(entry._id) === String(attachmentId));
+
+    return sendResponse(res, 201, 'Attachment uploaded', {
+      attachment
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Upload attachment error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment (project members only)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The file contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid id
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a project member
+ *       404:
+ *         description: Project, card or attachment not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/attachments/:attachmentId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, attachmentId } = req.params;
+
+    if (!isValidObjectId(projectId) || !isValidObjectId(cardId) || !isValidObjectId(attachmentId))
+      return sendResponse(res, 400, 'Invalid project, card or attachment id');
+
+    const project = await Project.findOne(
+      { _id: projectId, $or: [{ 'columns.cards._id': cardId }, { 'backlog._id': cardId }] },
+      { owner: 1, members: 1, columns: 1, backlog: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    if (!isProjectMember(project, req.user.userId))
+      return sendResponse(res, 403, 'Only project members can download attachments');
+
+    const location = findCardLocation(project.columns || [], cardId);
+    const card = location ? location.card : findBacklogEntry(project, cardId);
+    const attachment = (card.attachments || []).find(
+      (entry) => String(entry._id) === String(attachmentId)
+    );
+
+    if (!attachment)
+      return sendResponse(res, 404, 'Attachment not found');
+
+    const stream = attachmentStorage.createReadStream(attachment.storageKey);
+
+    stream.once('error', (err) => {
+      if (res.headersSent)
+        return res.destroy(err);
+
+      return err.code === 'ENOENT'
+        ? sendResponse(res, 404, 'Attachment file is missing')
+        : handleRouteError(res, 'Download attachment error', err);
+    });
+
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+      });
+    });
+
+    return stream.pipe(res);
+  } catch (err) {
+    return handleRouteError(res, 'Download attachment error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment (uploader or project owner)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Attachment deleted
+ *       400:
+ *         description: Invalid id
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the uploader or the project owner can delete it
+ *       404:
+ *         description: Project, card or attachment not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/cards/:cardId/attachments/:attachmentId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, attachmentId } = req.params;
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(attachmentId))
+      return sendResponse(res, 400, 'Invalid card or attachment id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const attachment = (context.card.attachments || []).find(
+      (entry) => String(entry._id) === String(attachmentId)
+    );
+
+    if (!attachment)
+      return sendResponse(res, 404, 'Attachment not found');
+
+    const isUploader = attachment.uploadedBy && String(attachment.uploadedBy) === String(req.user.userId);
+    if (!isUploader && !isProjectOwner(context.project, req.user.userId))
+      return sendResponse(res, 403, 'Only the uploader or the project owner can delete this attachment');
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $pull: { [context.fieldPath('attachments')]: { _id: attachment._id } },
+        $set: { [context.fieldPath('updatedAt')]: new Date() },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    await removeCardAttachments([{ attachments: [attachment] }]);
+
+    return sendResponse(res, 200, 'Attachment deleted', { attachmentId });
+  } catch (err) {
+    return handleRouteError(res, 'Delete attachment error', err);
+  }
+});
+
+module.exports = router;
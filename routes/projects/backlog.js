@@ -0,0 +1,418 @@
+const express = require('express');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  sortColumnsByOrder,
+  buildProjectAccessQuery,
+  isValidObjectId,
+  findCardLocation,
+  buildCardActivity,
+  syncProjectStatus,
+  takeCardOffBoard,
+  sendBoardConflict,
+  findProjectCard,
+  matchesCardSearch,
+  findSprint,
+  findColumnWipViolation,
+  sendWipLimitConflict
+} = require('./helpers');
+
+const router = express.Router();
+
+// Checks that cardIds names every backlog card exactly once.
+function validateBacklogOrder(backlog = [], cardIds) {
+  if (!Array.isArray(cardIds))
+    return 'cardIds must be an array';
+
+  const current = new Set(backlog.map((card) => String(card._id)));
+  const requested = new Set(cardIds.map(String));
+
+  if (requested.size !== cardIds.length)
+    return 'cardIds cannot contain duplicates';
+
+  if (requested.size !== current.size || [...requested].some((id) => !current.has(id)))
+    return 'cardIds must list every backlog card exactly once';
+
+  return null;
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/backlog:
+ *   get:
+ *     summary: List the project's backlog in rank order
+ *     description: >
+ *       Backlog cards are kept off the board. On scrum boards they are pulled
+ *       into a sprint; on kanban boards the backlog is an optional intake area.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches title, description or issue key
+ *     responses:
+ *       200:
+ *         description: Backlog fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     cards:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/BoardCard'
+ *                           - type: object
+ *                             properties:
+ *                               rank:
+ *                                 type: integer
+ *                                 description: 1 is the top of the backlog
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/backlog', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { backlog: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const cards = (project.backlog || [])
+      .map((card, index) => ({ ...card, rank: index + 1 }))
+      .filter((card) => matchesCardSearch(card, query));
+
+    return sendResponse(res, 200, 'Backlog fetched', { cards });
+  } catch (err) {
+    return handleRouteError(res, 'List backlog error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/backlog/order:
+ *   put:
+ *     summary: Re-rank the backlog
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cardIds
+ *             properties:
+ *               cardIds:
+ *                 type: array
+ *                 description: Every backlog card id, highest rank first
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Backlog reordered
+ *       400:
+ *         description: cardIds does not match the backlog
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Backlog was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.put('/:projectId/backlog/order', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { cardIds } = req.body || {};
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { backlog: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const orderError = validateBacklogOrder(project.backlog || [], cardIds);
+    if (orderError)
+      return sendResponse(res, 400, orderError);
+
+    const byId = new Map((project.backlog || []).map((card) => [String(card._id), card]));
+    const backlog = cardIds.map((id) => byId.get(String(id)));
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), __v: project.__v },
+      { $set: { backlog }, $inc: { __v: 1 } },
+      { new: true, projection: { backlog: 1 } }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Backlog reordered', {
+      cardIds: updatedProject.backlog.map((card) => card._id)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Reorder backlog error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/backlog:
+ *   post:
+ *     summary: Move a board card to the backlog
+ *     description: The card is taken out of its sprint.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Zero-based backlog position; defaults to the bottom
+ *     responses:
+ *       200:
+ *         description: Card moved to the backlog
+ *       400:
+ *         description: Invalid card id or position
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/backlog', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { position } = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0))
+      return sendResponse(res, 400, 'Position must be a non-negative integer');
+
+    const context = await findProjectCard(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const at = new Date();
+    const changes = { sprint: null, backlogAt: at };
+    const entry = {
+      ...context.card,
+      ...changes,
+      updatedAt: at,
+      activity: [
+        ...(context.card.activity || []),
+        ...buildCardActivity(context.card, changes, req.user.userId, at)
+      ]
+    };
+
+    const updatedProject = await takeCardOffBoard(context.project, req.user.userId, entry, 'backlog', { position });
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const rank = updatedProject.backlog.findIndex((card) => String(card._id) === String(cardId)) + 1;
+
+    return sendResponse(res, 200, 'Card moved to backlog', {
+      card: updatedProject.backlog[rank - 1],
+      rank
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Move card to backlog error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/backlog/pull:
+ *   post:
+ *     summary: Pull backlog cards onto the board
+ *     description: >
+ *       Cards are placed in the first column in backlog order. Scrum boards
+ *       pull them into a planned or active sprint; kanban boards pull them
+ *       straight onto the board.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cardIds
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               cardIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               sprintId:
+ *                 type: string
+ *                 description: Required on scrum boards, not allowed on kanban boards
+ *     responses:
+ *       200:
+ *         description: Cards pulled onto the board
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project, sprint or backlog card not found
+ *       409:
+ *         description: WIP limit exceeded, or board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/backlog/pull', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { cardIds, sprintId, overrideWipLimit } = req.body || {};
+
+    if (!Array.isArray(cardIds) || !cardIds.length)
+      return sendResponse(res, 400, 'cardIds must be a non-empty array');
+
+    if (cardIds.some((id) => !isValidObjectId(id)))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { boardType: 1, columns: 1, backlog: 1, sprints: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    let sprint = null;
+    if (project.boardType === 'kanban') {
+      if (sprintId !== undefined && sprintId !== null)
+        return sendResponse(res, 400, 'Kanban boards do not use sprints');
+    } else {
+      if (!sprintId)
+        return sendResponse(res, 400, 'sprintId is required on scrum boards');
+
+      sprint = isValidObjectId(sprintId) ? findSprint(project, sprintId) : null;
+      if (!sprint)
+        return sendResponse(res, 404, 'Sprint not found');
+
+      if (sprint.state === 'closed')
+        return sendResponse(res, 400, 'Cards cannot be added to a closed sprint');
+    }
+
+    const columns = sortColumnsByOrder(project.columns || []);
+    if (!columns.length)
+      return sendResponse(res, 400, 'Project has no board columns');
+
+    const requested = new Set(cardIds.map(String));
+    const pulled = (project.backlog || []).filter((card) => requested.has(String(card._id)));
+
+    if (pulled.length !== requested.size) {
+      const found = new Set(pulled.map((card) => String(card._id)));
+      const missing = [...requested].filter((id) => !found.has(id));
+      return sendResponse(res, 404, `Backlog cards not found: ${missing.join(', ')}`);
+    }
+
+    const target = columns[0];
+    const wipViolation = overrideWipLimit === true ? null : findColumnWipViolation(target, pulled.length);
+    if (wipViolation)
+      return sendWipLimitConflict(res, [wipViolation]);
+    const at = new Date();
+    const cards = pulled.map((card) => {
+      const changes = { status: target.name, sprint: sprint ? sprint._id : null, backlogAt: null };
+
+      return {
+        ...card,
+        ...changes,
+        updatedAt: at,
+        activity: [...(card.activity || []), ...buildCardActivity(card, changes, req.user.userId, at)]
+      };
+    });
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), __v: project.__v },
+      {
+        $pull: { backlog: { _id: { $in: pulled.map((card) => card._id) } } },
+        $push: { 'columns.$[column].cards': { $each: cards } },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: [{ 'column.name': target.name }] }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    await syncProjectStatus(updatedProject);
+
+    return sendResponse(res, 200, 'Cards pulled onto the board', {
+      column: target.name,
+      sprintId: sprint ? sprint._id : null,
+      cards: cards.map((card) => findCardLocation(updatedProject.columns, card._id).card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Pull backlog cards error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1898 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { getTrashPurgeDate, everyCardPath, anyCardMatches } = require('../../cardTrash');
+const {
+  sendResponse,
+  handleRouteError,
+  normalizeCard,
+  normalizeColumnName,
+  findColumnIndex,
+  sortColumnsByOrder,
+  reindexColumns,
+  sanitizeColumns,
+  buildProjectAccessQuery,
+  isProjectMember,
+  isValidObjectId,
+  pickCardFields,
+  validateCardFields,
+  findCardLocation,
+  addCardWatchers,
+  buildCardAccessQuery,
+  cardFieldPath,
+  buildBacklogCardAccessQuery,
+  backlogFieldPath,
+  cardArrayFilters,
+  buildCardActivity,
+  syncProjectStatus,
+  saveProjectColumns,
+  buildTrashEntries,
+  takeCardOffBoard,
+  sendBoardConflict,
+  ISSUE_KEY_PATTERN,
+  normalizeProjectKey,
+  formatIssueKey,
+  reserveCardNumbers,
+  findProjectCard,
+  findBacklogEntry,
+  findBacklogCard,
+  findCardContext,
+  listSubtasks,
+  buildCardProgress,
+  findCardByIssueKey,
+  findNewlyDoneCards,
+  findOpenBlockerWarnings,
+  findLabel,
+  resolveCardLabels,
+  getIssueScheme,
+  buildNewCardDefaults,
+  validateCardProjectFields,
+  loadMemberDirectory,
+  resolveMentions,
+  replaceCardMentions,
+  listUnresolvedMentions,
+  findCustomField,
+  normalizeCustomFieldValue,
+  resolveCustomFieldValues,
+  findSprint,
+  findWipLimitViolations,
+  findColumnWipViolation,
+  sendWipLimitConflict
+} = require('./helpers');
+
+const router = express.Router();
+
+function prepareCardFieldValues(fields = {}) {
+  const prepared = { ...fields };
+
+  if (prepared.title !== undefined)
+    prepared.title = prepared.title.trim();
+  if (prepared.description !== undefined)
+    prepared.description = prepared.description || '';
+  if (prepared.assignee !== undefined)
+    prepared.assignee = prepared.assignee || null;
+  if (prepared.dueDate !== undefined)
+    prepared.dueDate = prepared.dueDate ? new Date(prepared.dueDate) : new Date();
+  if (prepared.labels === null)
+    prepared.labels = [];
+  if (typeof prepared.issueType === 'string')
+    prepared.issueType = prepared.issueType.trim().toLowerCase();
+  if (typeof prepared.priority === 'string')
+    prepared.priority = prepared.priority.trim().toLowerCase();
+  if (prepared.epic !== undefined)
+    prepared.epic = prepared.epic || null;
+  if (prepared.sprint !== undefined)
+    prepared.sprint = prepared.sprint || null;
+
+  return prepared;
+}
+
+function moveCardInColumns(columns = [], cardId, targetColumnIndex, position) {
+  const location = findCardLocation(columns, cardId);
+  const targetColumn = columns[targetColumnIndex];
+
+  if (!location || !targetColumn)
+    return null;
+
+  const [card] = location.column.cards.splice(location.cardIndex, 1);
+  targetColumn.cards = Array.isArray(targetColumn.cards) ? targetColumn.cards : [];
+
+  const parsedPosition = Number(position);
+  const insertionIndex = Number.isFinite(parsedPosition) && parsedPosition > 0
+    ? Math.min(Math.floor(parsedPosition) - 1, targetColumn.cards.length)
+    : targetColumn.cards.length;
+
+  const movedCard = {
+    ...card,
+    status: targetColumn.name,
+    updatedAt: new Date()
+  };
+
+  targetColumn.cards.splice(insertionIndex, 0, movedCard);
+
+  return {
+    card: movedCard,
+    fromColumn: location.column.name,
+    toColumn: targetColumn.name,
+    position: insertionIndex + 1
+  };
+}
+
+// Subtasks are regular cards pointing at their parent. Only one level is
+// allowed, so a parent can never itself be a subtask.
+function validateParentCard(columns = [], cardId, parentId) {
+  if (!isValidObjectId(parentId))
+    return 'Invalid parent card id';
+
+  if (cardId && String(cardId) === String(parentId))
+    return 'A card cannot be its own parent';
+
+  const parent = findCardLocation(columns, parentId);
+  if (!parent)
+    return 'Parent card not found';
+
+  if (parent.card.parentCard)
+    return 'Subtasks cannot have subtasks of their own';
+
+  const hasChildren = cardId && columns.some((column) =>
+    (column.cards || []).some((card) => card.parentCard && String(card.parentCard) === String(cardId))
+  );
+
+  if (hasChildren)
+    return 'A card with subtasks cannot become a subtask';
+
+  return null;
+}
+
+const BULK_ACTIONS = ['move', 'assign', 'setDueDate', 'label', 'archive'];
+
+const MAX_BULK_CARD_UPDATES = 500;
+
+// Request-level parts of each operation (target column, assignee, labels) are
+// checked up front, so a typo fails the call instead of every card.
+function prepareBulkOperations(project = {}, operations) {
+  if (!Array.isArray(operations) || !operations.length)
+    return { error: 'operations must be a non-empty array' };
+
+  const columns = sortColumnsByOrder(project.columns || []);
+  const prepared = [];
+  let cardUpdates = 0;
+
+  for (let index = 0; index < operations.length; index += 1) {
+    const operation = operations[index] || {};
+    const label = `operations[${index}]`;
+
+    if (!BULK_ACTIONS.includes(operation.action))
+      return { error: `${label}: action must be one of: ${BULK_ACTIONS.join(', ')}` };
+
+    if (!Array.isArray(operation.cardIds) || !operation.cardIds.length)
+      return { error: `${label}: cardIds must be a non-empty array` };
+
+    if (operation.cardIds.some((cardId) => !isValidObjectId(cardId)))
+      return { error: `${label}: cardIds contains an invalid id` };
+
+    const entry = {
+      action: operation.action,
+      cardIds: [...new Set(operation.cardIds.map(String))]
+    };
+    cardUpdates += entry.cardIds.length;
+
+    if (operation.action === 'move') {
+      const columnIndex = findColumnIndex(columns, operation.column || '');
+      if (columnIndex === -1)
+        return { error: `${label}: target column not found` };
+
+      if (operation.position !== undefined && operation.position !== null) {
+        const parsedPosition = Number(operation.position);
+        if (!Number.isFinite(parsedPosition) || parsedPosition < 1)
+          return { error: `${label}: position must be a positive number` };
+      }
+
+      entry.column = columns[columnIndex].name;
+      entry.position = operation.position;
+    }
+
+    if (operation.action === 'assign') {
+      const { assignee } = operation;
+      if (assignee !== null && (!isValidObjectId(assignee) || !isProjectMember(project, assignee)))
+        return { error: `${label}: assignee must be a project member or null` };
+
+      entry.assignee = assignee ? new mongoose.Types.ObjectId(assignee) : null;
+    }
+
+    if (operation.action === 'setDueDate') {
+      const validationError = validateCardFields({ dueDate: operation.dueDate });
+      if (operation.dueDate === undefined || validationError)
+        return { error: `${label}: ${validationError || 'dueDate is required'}` };
+
+      entry.dueDate = prepareCardFieldValues({ dueDate: operation.dueDate }).dueDate;
+    }
+
+    if (operation.action === 'label') {
+      const add = operation.add || [];
+      const remove = operation.remove || [];
+      if (!Array.isArray(add) || !Array.isArray(remove) || (!add.length && !remove.length))
+        return { error: `${label}: provide add and/or remove label arrays` };
+
+      const added = resolveCardLabels(project.labels || [], add);
+      const removed = resolveCardLabels(project.labels || [], remove);
+      const unknown = [...added.unknown, ...removed.unknown];
+      if (unknown.length)
+        return { error: `${label}: unknown labels: ${unknown.join(', ')}` };
+
+      entry.addLabels = added.labels;
+      entry.removeLabelIds = new Set(removed.labels.map((entryLabel) => String(entryLabel._id)));
+    }
+
+    prepared.push(entry);
+  }
+
+  if (cardUpdates > MAX_BULK_CARD_UPDATES)
+    return { error: `A bulk request can update at most ${MAX_BULK_CARD_UPDATES} cards` };
+
+  return { operations: prepared };
+}
+
+function applyBulkCardChange(columns, cardId, change) {
+  const location = findCardLocation(columns, cardId);
+  location.column.cards[location.cardIndex] = { ...location.card, ...change(location.card) };
+}
+
+// Applies the operations to an in-memory copy of the board and reports the
+// outcome per card; nothing is written here.
+function applyBulkOperations(columns = [], operations = [], userId, { overrideWipLimit = false } = {}) {
+  const archivedCards = [];
+  const succeeded = new Map();
+  const notFound = new Set();
+  const failed = [];
+  const at = new Date();
+
+  operations.forEach((operation) => {
+    operation.cardIds.forEach((cardId) => {
+      if (archivedCards.some((card) => String(card._id) === cardId)) {
+        failed.push({ cardId, action: operation.action, error: 'Card was archived earlier in this request' });
+        return;
+      }
+
+      const location = findCardLocation(columns, cardId);
+      if (!location) {
+        notFound.add(cardId);
+        return;
+      }
+
+      if (operation.action === 'move' && !overrideWipLimit) {
+        const target = columns[findColumnIndex(columns, operation.column)];
+        const violation = target !== location.column && findColumnWipViolation(target);
+
+        if (violation) {
+          failed.push({
+            cardId,
+            action: operation.action,
+            error: `Column "${violation.column}" is at its WIP limit of ${violation.limit}`
+          });
+          return;
+        }
+      }
+
+      switch (operation.action) {
+        case 'move':
+          moveCardInColumns(columns, cardId, findColumnIndex(columns, operation.column), operation.position);
+          break;
+        case 'assign':
+          applyBulkCardChange(columns, cardId, (card) => ({
+            assignee: operation.assignee,
+            watchers: String(card.assignee || '') === String(operation.assignee || '')
+              ? card.watchers || []
+              : addCardWatchers(card.watchers, operation.assignee)
+          }));
+          break;
+        case 'setDueDate':
+          applyBulkCardChange(columns, cardId, () => ({ dueDate: operation.dueDate }));
+          break;
+        case 'label':
+          applyBulkCardChange(columns, cardId, (card) => {
+            const kept = (card.labels || []).filter(
+              (cardLabel) => !operation.removeLabelIds.has(String(cardLabel._id))
+            );
+            const keptIds = new Set(kept.map((cardLabel) => String(cardLabel._id)));
+
+            return {
+              labels: [
+                ...kept,
+                ...operation.addLabels.filter((cardLabel) => !keptIds.has(String(cardLabel._id)))
+              ]
+            };
+          });
+          break;
+        case 'archive': {
+          const [card] = location.column.cards.splice(location.cardIndex, 1);
+          archivedCards.push({
+            ...card,
+            archivedAt: at,
+            archivedBy: userId,
+            activity: [...(card.activity || []), ...buildCardActivity(card, { archivedAt: at }, userId, at)]
+          });
+          break;
+        }
+        default:
+          break;
+      }
+
+      if (!succeeded.has(cardId))
+        succeeded.set(cardId, { cardId, key: location.card.key || null, actions: [] });
+      succeeded.get(cardId).actions.push(operation.action);
+    });
+  });
+
+  return {
+    archivedCards,
+    results: {
+      succeeded: [...succeeded.values()],
+      failed,
+      notFound: [...notFound]
+    }
+  };
+}
+
+// Members of both projects, as the caller must be to clone or move between them.
+// The card may be on the source board or in its backlog.
+async function loadCardTransferProjects(sourceProjectId, targetProjectId, userId, cardId) {
+  if (!isValidObjectId(sourceProjectId) || !isValidObjectId(targetProjectId))
+    return { status: 400, message: 'Invalid project id' };
+
+  const [source, target] = await Promise.all([
+    Project.findOne({
+      _id: sourceProjectId,
+      $or: [{ 'columns.cards._id': cardId }, { 'backlog._id': cardId }]
+    }).lean(),
+    String(sourceProjectId) === String(targetProjectId)
+      ? null
+      : Project.findOne({ _id: targetProjectId }).lean()
+  ]);
+
+  const targetProject = target || (String(sourceProjectId) === String(targetProjectId) ? source : null);
+
+  if (!source || !isProjectMember(source, userId))
+    return { status: 404, message: 'Project or card not found' };
+
+  if (!targetProject)
+    return { status: 404, message: 'Target project not found' };
+
+  if (!isProjectMember(targetProject, userId))
+    return { status: 403, message: 'You must be a member of the target project' };
+
+  const location = findCardLocation(source.columns || [], cardId);
+  const card = location ? location.card : findBacklogEntry(source, cardId);
+
+  return { source, target: targetProject, card, inBacklog: !location };
+}
+
+function resolveTransferAssignee(card, targetProject, requested) {
+  if (requested !== undefined) {
+    if (requested !== null && (!isValidObjectId(requested) || !isProjectMember(targetProject, requested)))
+      return { error: 'assignee must be a member of the target project or null' };
+
+    return { assignee: requested ? new mongoose.Types.ObjectId(requested) : null };
+  }
+
+  const keep = card.assignee && isProjectMember(targetProject, card.assignee);
+  return { assignee: keep ? card.assignee : null, cleared: Boolean(card.assignee && !keep) };
+}
+
+// Maps a card's project-scoped references onto another project: labels and
+// custom fields by name, issue type and priority through the target scheme.
+// Anything that has no counterpart is listed in `unmapped`.
+function mapCardToProject(card = {}, sourceProject = {}, targetProject = {}) {
+  if (String(sourceProject._id) === String(targetProject._id)) {
+    return {
+      fields: {
+        labels: card.labels || [],
+        issueType: card.issueType,
+        priority: card.priority,
+        epic: card.epic || null,
+        sprint: isClosedSprint(sourceProject, card.sprint) ? null : card.sprint || null,
+        customFieldValues: card.customFieldValues || {}
+      },
+      unmapped: []
+    };
+  }
+
+  const unmapped = [];
+  const scheme = getIssueScheme(targetProject);
+
+  const labels = (card.labels || []).reduce((mapped, cardLabel) => {
+    const label = findLabel(targetProject.labels || [], cardLabel.name);
+    if (label)
+      mapped.push({ _id: label._id, name: label.name, color: label.color });
+    else
+      unmapped.push(`label: ${cardLabel.name}`);
+
+    return mapped;
+  }, []);
+
+  const customFieldValues = {};
+  Object.entries(card.customFieldValues || {}).forEach(([fieldId, value]) => {
+    const sourceField = (sourceProject.customFields || []).find((field) => String(field._id) === fieldId);
+    const targetField = sourceField && findCustomField(targetProject.customFields || [], sourceField.name);
+    const normalized = targetField && targetField.type === sourceField.type
+      ? normalizeCustomFieldValue(targetProject, targetField, value instanceof Date ? value.toISOString() : value)
+      : { error: true };
+
+    if (normalized.error)
+      unmapped.push(`custom field: ${sourceField ? sourceField.name : fieldId}`);
+    else
+      customFieldValues[String(targetField._id)] = normalized.value;
+  });
+
+  if (card.issueType && !scheme.issueTypes.includes(card.issueType))
+    unmapped.push(`issue type: ${card.issueType}`);
+  if (card.priority && !scheme.priorities.includes(card.priority))
+    unmapped.push(`priority: ${card.priority}`);
+  if (card.epic)
+    unmapped.push('epic');
+  if (card.sprint)
+    unmapped.push('sprint');
+
+  return {
+    fields: {
+      labels,
+      issueType: scheme.issueTypes.includes(card.issueType) ? card.issueType : scheme.defaultIssueType,
+      priority: scheme.priorities.includes(card.priority) ? card.priority : scheme.defaultPriority,
+      epic: null,
+      sprint: null,
+      customFieldValues
+    },
+    unmapped
+  };
+}
+
+function findTransferColumn(targetProject, columnName) {
+  const columns = sortColumnsByOrder(targetProject.columns || []);
+  if (!columns.length)
+    return null;
+
+  if (!columnName)
+    return columns[0];
+
+  const columnIndex = findColumnIndex(columns, columnName);
+  return columnIndex === -1 ? null : columns[columnIndex];
+}
+
+function isClosedSprint(project = {}, sprintId) {
+  const sprint = findSprint(project, sprintId);
+  return Boolean(sprint && sprint.state === 'closed');
+}
+
+/**
+ * @swagger
+ * /projects/issues/{issueKey}:
+ *   get:
+ *     summary: Fetch a card by its human-readable issue key (e.g. WEB-42)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Card fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     card:
+ *                       $ref: '#/components/schemas/BoardCard'
+ *                     column:
+ *                       type: string
+ *                       nullable: true
+ *                       description: null unless the card is on the board
+ *                     location:
+ *                       type: string
+ *                       enum: [board, backlog, archive]
+ *                     projectId:
+ *                       type: string
+ *                     projectKey:
+ *                       type: string
+ *       400:
+ *         description: Invalid issue key
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/issues/:issueKey', authMiddleware, async (req, res) => {
+  try {
+    const issueKey = normalizeProjectKey(req.params.issueKey);
+
+    if (!ISSUE_KEY_PATTERN.test(issueKey))
+      return sendResponse(res, 400, 'Invalid issue key');
+
+    const found = await findCardByIssueKey(issueKey, req.user.userId);
+    if (!found)
+      return sendResponse(res, 404, 'Card not found');
+
+    const { project, column, card, location } = found;
+
+    return sendResponse(res, 200, 'Card fetched', {
+      card,
+      column: column ? column.name : null,
+      location,
+      projectId: project._id,
+      projectKey: project.key
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Get card by key error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards:
+ *   post:
+ *     summary: Create a card in a board column
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               column:
+ *                 type: string
+ *                 description: Column to create the card in (defaults to the first column)
+ *               backlog:
+ *                 type: boolean
+ *                 description: Add the card to the bottom of the backlog instead of the board
+ *               parentCard:
+ *                 type: string
+ *                 description: Create the card as a subtask of this card
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User id of a project member
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               labels:
+ *                 type: array
+ *                 description: Label ids or names from the project's label registry
+ *                 items:
+ *                   type: string
+ *               issueType:
+ *                 type: string
+ *                 example: bug
+ *               priority:
+ *                 type: string
+ *                 example: high
+ *               epic:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Epic id from this project
+ *               sprint:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Id of a planned or active sprint from this project
+ *               storyPoints:
+ *                 type: number
+ *                 nullable: true
+ *               originalEstimate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Minutes
+ *               remainingEstimate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Minutes
+ *               customFieldValues:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Values keyed by custom field id or name
+ *     responses:
+ *       201:
+ *         description: Card created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     card:
+ *                       $ref: '#/components/schemas/BoardCard'
+ *                     column:
+ *                       type: string
+ *                       nullable: true
+ *                       description: null when the card was added to the backlog
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or column not found
+ *       409:
+ *         description: WIP limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { column: columnName, backlog = false, overrideWipLimit, ...payload } = req.body || {};
+
+    const fields = pickCardFields(payload);
+    if (!fields.title)
+      return sendResponse(res, 400, 'Card title is required');
+
+    if (typeof backlog !== 'boolean')
+      return sendResponse(res, 400, 'backlog must be a boolean');
+
+    if (backlog && columnName)
+      return sendResponse(res, 400, 'A card cannot be added to a column and the backlog at once');
+
+    if (backlog && fields.sprint)
+      return sendResponse(res, 400, 'Backlog cards cannot belong to a sprint');
+
+    const validationError = validateCardFields(fields);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, members: 1, columns: 1, labels: 1, issueScheme: 1, epics: 1, sprints: 1, customFields: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (fields.assignee && !isProjectMember(project, fields.assignee))
+      return sendResponse(res, 400, 'assignee must be a project member or null');
+
+    const columns = sortColumnsByOrder(project.columns || []);
+    if (!columns.length)
+      return sendResponse(res, 400, 'Project has no board columns');
+
+    if (fields.labels !== undefined) {
+      const resolved = resolveCardLabels(project.labels || [], fields.labels || []);
+      if (resolved.unknown.length)
+        return sendResponse(res, 400, `Unknown labels: ${resolved.unknown.join(', ')}`);
+
+      fields.labels = resolved.labels;
+    }
+
+    if (fields.customFieldValues !== undefined) {
+      const custom = resolveCustomFieldValues(project, fields.customFieldValues || {});
+      if (custom.error)
+        return sendResponse(res, 400, custom.error);
+
+      fields.customFieldValues = custom.values;
+    }
+
+    const columnIndex = columnName ? findColumnIndex(columns, columnName) : 0;
+    if (columnIndex === -1)
+      return sendResponse(res, 404, 'Column not found');
+
+    Object.assign(fields, prepareCardFieldValues({
+      ...buildNewCardDefaults(project),
+      ...fields
+    }));
+
+    const schemeError = validateCardProjectFields(project, fields);
+    if (schemeError)
+      return sendResponse(res, 400, schemeError);
+
+    if (isClosedSprint(project, fields.sprint))
+      return sendResponse(res, 400, 'Cards cannot be added to a closed sprint');
+
+    const { parentCard } = payload;
+    if (parentCard) {
+      const parentError = validateParentCard(columns, null, parentCard);
+      if (parentError)
+        return sendResponse(res, 400, parentError);
+    }
+
+    const wipViolation = backlog || overrideWipLimit === true
+      ? null
+      : findColumnWipViolation(columns[columnIndex]);
+    if (wipViolation)
+      return sendWipLimitConflict(res, [wipViolation]);
+
+    const targetName = columns[columnIndex].name;
+    const reservation = await reserveCardNumbers(project._id, 1);
+    if (!reservation)
+      return sendResponse(res, 404, 'Project not found');
+
+    const card = normalizeCard({
+      ...prepareCardFieldValues(fields),
+      status: targetName,
+      parentCard: parentCard || null,
+      number: reservation.first,
+      key: formatIssueKey(reservation.key, reservation.first),
+      createdBy: req.user.userId,
+      watchers: addCardWatchers([], req.user.userId, fields.assignee),
+      mentions: resolveMentions(fields.description, await loadMemberDirectory(project)),
+      backlogAt: backlog ? new Date() : null,
+      activity: buildCardActivity(null, { status: targetName }, req.user.userId)
+    }, targetName);
+
+    const updatedProject = await Project.findOneAndUpdate(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      {
+        $push: backlog ? { backlog: card } : { 'columns.$[column].cards': card },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: backlog ? [] : [{ 'column.name': targetName }] }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project not found');
+
+    await syncProjectStatus(updatedProject);
+
+    if (backlog) {
+      const created = findBacklogEntry(updatedProject, card._id);
+
+      return sendResponse(res, 201, 'Card added to backlog', {
+        card: created,
+        column: null,
+        unresolvedMentions: listUnresolvedMentions(created.mentions)
+      });
+    }
+
+    const location = findCardLocation(updatedProject.columns, card._id);
+    if (!location)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 201, 'Card created', {
+      card: location.card,
+      column: location.column.name,
+      unresolvedMentions: listUnresolvedMentions(location.card.mentions)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Create card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}:
+ *   get:
+ *     summary: Fetch a single card by id
+ *     description: Backlog cards are returned with a null column.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Card fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     card:
+ *                       $ref: '#/components/schemas/BoardCard'
+ *                     column:
+ *                       type: string
+ *                     progress:
+ *                       $ref: '#/components/schemas/CardProgress'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1, backlog: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const location = findCardLocation(project.columns || [], cardId);
+    const backlogCard = location ? null : findBacklogEntry(project, cardId);
+
+    if (backlogCard) {
+      return sendResponse(res, 200, 'Card fetched', {
+        card: backlogCard,
+        column: null,
+        progress: buildCardProgress(project.columns || [], backlogCard)
+      });
+    }
+
+    if (!location)
+      return sendResponse(res, 404, 'Card not found');
+
+    return sendResponse(res, 200, 'Card fetched', {
+      card: location.card,
+      column: location.column.name,
+      progress: buildCardProgress(project.columns || [], location.card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Get card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}:
+ *   patch:
+ *     summary: Update individual fields of a card without rewriting its column
+ *     description: Also works on backlog cards, which cannot be given a sprint this way.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User id of a project member
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               parentCard:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Make the card a subtask of another card (null to detach)
+ *               labels:
+ *                 type: array
+ *                 description: Label ids or names from the project's label registry
+ *                 items:
+ *                   type: string
+ *               issueType:
+ *                 type: string
+ *                 example: bug
+ *               priority:
+ *                 type: string
+ *                 example: high
+ *               epic:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Epic id from this project
+ *               sprint:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Id of a planned or active sprint from this project
+ *               storyPoints:
+ *                 type: number
+ *                 nullable: true
+ *               originalEstimate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Minutes
+ *               remainingEstimate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Minutes
+ *               customFieldValues:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Values keyed by custom field id or name
+ *     responses:
+ *       200:
+ *         description: Card updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     card:
+ *                       $ref: '#/components/schemas/BoardCard'
+ *                     column:
+ *                       type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/cards/:cardId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const fields = pickCardFields(req.body || {});
+    if ((req.body || {}).parentCard !== undefined)
+      fields.parentCard = req.body.parentCard || null;
+
+    if (!Object.keys(fields).length)
+      return sendResponse(res, 400, 'Provide at least one field to update');
+
+    const validationError = validateCardFields(fields);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const context = await findProjectCard(projectId, req.user.userId, cardId)
+      || await findBacklogCard(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const { inBacklog = false } = context;
+    const fieldPath = inBacklog ? backlogFieldPath : cardFieldPath;
+
+    // A former member already assigned to the card may stay; new assignees must belong.
+    if (
+      fields.assignee &&
+      String(fields.assignee) !== String(context.card.assignee || '') &&
+      !isProjectMember(context.project, fields.assignee)
+    )
+      return sendResponse(res, 400, 'assignee must be a project member or null');
+
+    if (inBacklog && fields.sprint)
+      return sendResponse(res, 400, 'Backlog cards cannot belong to a sprint; pull the card into the sprint instead');
+
+    if (fields.parentCard) {
+      const parentError = validateParentCard(context.project.columns, cardId, fields.parentCard);
+      if (parentError)
+        return sendResponse(res, 400, parentError);
+    }
+
+    if (fields.labels !== undefined) {
+      const resolved = resolveCardLabels(context.project.labels || [], fields.labels || []);
+      if (resolved.unknown.length)
+        return sendResponse(res, 400, `Unknown labels: ${resolved.unknown.join(', ')}`);
+
+      fields.labels = resolved.labels;
+    }
+
+    // Custom field values are merged into the card's existing values; null clears one.
+    // Each value is written on its own path so concurrent edits to other fields survive.
+    let customFieldChanges = {};
+    if (fields.customFieldValues !== undefined) {
+      const custom = resolveCustomFieldValues(context.project, fields.customFieldValues || {}, { partial: true });
+      if (custom.error)
+        return sendResponse(res, 400, custom.error);
+
+      const merged = { ...(context.card.customFieldValues || {}), ...custom.values };
+      Object.keys(merged).forEach((fieldId) => {
+        if (merged[fieldId] === null)
+          delete merged[fieldId];
+      });
+      fields.customFieldValues = merged;
+      customFieldChanges = custom.values;
+    }
+
+    const preparedFields = prepareCardFieldValues(fields);
+    const schemeError = validateCardProjectFields(context.project, preparedFields);
+    if (schemeError)
+      return sendResponse(res, 400, schemeError);
+
+    if (
+      String(preparedFields.sprint || '') !== String(context.card.sprint || '') &&
+      isClosedSprint(context.project, preparedFields.sprint)
+    )
+      return sendResponse(res, 400, 'Cards cannot be added to a closed sprint');
+
+    const now = new Date();
+    const activity = buildCardActivity(context.card, preparedFields, req.user.userId, now);
+    const $set = { [fieldPath('updatedAt')]: now };
+    const $unset = {};
+
+    Object.entries(preparedFields).forEach(([field, value]) => {
+      if (field !== 'customFieldValues')
+        $set[fieldPath(field)] = value;
+    });
+
+    Object.entries(customFieldChanges).forEach(([fieldId, value]) => {
+      if (value === null)
+        $unset[fieldPath(`customFieldValues.${fieldId}`)] = '';
+      else
+        $set[fieldPath(`customFieldValues.${fieldId}`)] = value;
+    });
+
+    if (preparedFields.description !== undefined) {
+      const directory = await loadMemberDirectory(context.project);
+      $set[fieldPath('mentions')] = replaceCardMentions(
+        context.card.mentions || [],
+        resolveMentions(preparedFields.description, directory)
+      );
+    }
+
+    const update = { $set, $inc: { __v: 1 } };
+    if (Object.keys($unset).length)
+      update.$unset = $unset;
+    if (activity.length)
+      update.$push = { [fieldPath('activity')]: { $each: activity } };
+    if (preparedFields.assignee && String(preparedFields.assignee) !== String(context.card.assignee || ''))
+      update.$addToSet = { [fieldPath('watchers')]: new mongoose.Types.ObjectId(preparedFields.assignee) };
+
+    const updatedProject = await Project.findOneAndUpdate(
+      inBacklog
+        ? buildBacklogCardAccessQuery(projectId, req.user.userId, cardId)
+        : buildCardAccessQuery(projectId, req.user.userId, cardId),
+      update,
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    if (inBacklog) {
+      const card = findBacklogEntry(updatedProject, cardId);
+
+      return sendResponse(res, 200, 'Card updated', {
+        card,
+        column: null,
+        unresolvedMentions: listUnresolvedMentions(card.mentions)
+      });
+    }
+
+    const location = findCardLocation(updatedProject.columns, cardId);
+
+    return sendResponse(res, 200, 'Card updated', {
+      card: location.card,
+      column: location.column.name,
+      unresolvedMentions: listUnresolvedMentions(location.card.mentions)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/move:
+ *   post:
+ *     summary: Move a card to a column and position in a single operation
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - column
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               column:
+ *                 type: string
+ *                 description: Target column name (may be the card's current column)
+ *               position:
+ *                 type: integer
+ *                 description: Desired position in the target column (1-based, defaults to the end)
+ *     responses:
+ *       200:
+ *         description: Card moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     card:
+ *                       $ref: '#/components/schemas/BoardCard'
+ *                     fromColumn:
+ *                       type: string
+ *                     toColumn:
+ *                       type: string
+ *                     position:
+ *                       type: integer
+ *                     columns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BoardColumn'
+ *                     warnings:
+ *                       type: array
+ *                       description: Cards moved to done while a card blocking them is still open
+ *                       items:
+ *                         $ref: '#/components/schemas/BlockerWarning'
+ *       400:
+ *         description: Validation error or target column not found
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       409:
+ *         description: WIP limit exceeded, or board changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/move', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { column: columnName, position, overrideWipLimit } = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    if (!normalizeColumnName(columnName))
+      return sendResponse(res, 400, 'Target column is required');
+
+    if (position !== undefined && position !== null) {
+      const parsedPosition = Number(position);
+      if (!Number.isFinite(parsedPosition) || parsedPosition < 1)
+        return sendResponse(res, 400, 'Position must be a positive number');
+    }
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId)
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const columns = sanitizeColumns(project.columns || [], { enforceDefaultCard: false });
+
+    if (!findCardLocation(columns, cardId))
+      return sendResponse(res, 404, 'Card not found');
+
+    const targetIndex = findColumnIndex(columns, columnName);
+    if (targetIndex === -1)
+      return sendResponse(res, 400, 'Target column not found');
+
+    const moved = moveCardInColumns(columns, cardId, targetIndex, position);
+    const updatedColumns = reindexColumns(columns);
+
+    const wipViolations = findWipLimitViolations(project.columns || [], updatedColumns);
+    if (wipViolations.length && overrideWipLimit !== true)
+      return sendWipLimitConflict(res, wipViolations);
+
+    const updatedProject = await saveProjectColumns(project, req.user.userId, updatedColumns);
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const location = findCardLocation(updatedProject.columns, cardId);
+    const warnings = await findOpenBlockerWarnings(
+      findNewlyDoneCards(project.columns || [], updatedProject.columns),
+      req.user.userId
+    );
+
+    return sendResponse(res, 200, 'Card moved', {
+      card: location.card,
+      fromColumn: moved.fromColumn,
+      toColumn: moved.toColumn,
+      position: moved.position,
+      columns: updatedProject.columns,
+      warnings
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Move card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}:
+ *   delete:
+ *     summary: Move a card to the project's trash
+ *     description: >
+ *       Works on board and backlog cards. Trashed cards can be restored for 30
+ *       days and are purged after that.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Card moved to trash
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/cards/:cardId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findProjectCard(projectId, req.user.userId, cardId)
+      || await findBacklogCard(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const [entry] = buildTrashEntries([context.card], req.user.userId);
+    const updatedProject = await takeCardOffBoard(
+      context.project,
+      req.user.userId,
+      entry,
+      'trash',
+      context.inBacklog ? { source: 'backlog' } : {}
+    );
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Card moved to trash', {
+      cardId,
+      purgeAt: getTrashPurgeDate(entry.deletedAt)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Delete card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/activity:
+ *   get:
+ *     summary: Read the append-only change history of a card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Only return entries for this field (e.g. status, assignee)
+ *     responses:
+ *       200:
+ *         description: Activity fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     activity:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CardActivity'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/activity', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { field } = req.query || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const activity = (context.card.activity || []).filter(
+      (entry) => typeof field !== 'string' || !field || entry.field === field
+    );
+
+    return sendResponse(res, 200, 'Card activity fetched', { activity });
+  } catch (err) {
+    return handleRouteError(res, 'Card activity error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/subtasks:
+ *   get:
+ *     summary: List a card's subtasks with the parent's completion percentage
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Subtasks fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     subtasks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           card:
+ *                             $ref: '#/components/schemas/BoardCard'
+ *                           column:
+ *                             type: string
+ *                     progress:
+ *                       $ref: '#/components/schemas/CardProgress'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/subtasks', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const columns = context.project.columns || [];
+
+    return sendResponse(res, 200, 'Subtasks fetched', {
+      subtasks: listSubtasks(columns, cardId),
+      progress: buildCardProgress(columns, context.card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'List subtasks error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/bulk:
+ *   post:
+ *     summary: Apply a list of operations to many cards in one call
+ *     description: >
+ *       Operations run in order against the board as it was read. By default
+ *       cards that cannot be changed are reported and the rest are saved; with
+ *       allOrNothing, any per-card failure leaves the board untouched.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               allOrNothing:
+ *                 type: boolean
+ *                 default: false
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BulkCardOperation'
+ *     responses:
+ *       200:
+ *         description: Operations processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     results:
+ *                       $ref: '#/components/schemas/BulkCardResults'
+ *                     warnings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BlockerWarning'
+ *       400:
+ *         description: Invalid operations, or an allOrNothing request with failures
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: WIP limit exceeded, or board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/bulk', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { operations, allOrNothing = false, overrideWipLimit = false } = req.body || {};
+
+    if (typeof allOrNothing !== 'boolean')
+      return sendResponse(res, 400, 'allOrNothing must be a boolean');
+
+    if (typeof overrideWipLimit !== 'boolean')
+      return sendResponse(res, 400, 'overrideWipLimit must be a boolean');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId)
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const prepared = prepareBulkOperations(project, operations);
+    if (prepared.error)
+      return sendResponse(res, 400, prepared.error);
+
+    const columns = sanitizeColumns(project.columns || [], { enforceDefaultCard: false });
+    const { archivedCards, results } = applyBulkOperations(
+      columns,
+      prepared.operations,
+      req.user.userId,
+      { overrideWipLimit }
+    );
+    const hasFailures = results.failed.length > 0 || results.notFound.length > 0;
+
+    if (allOrNothing && hasFailures)
+      return sendResponse(res, 400, 'No cards were changed because some operations failed', { results });
+
+    if (!results.succeeded.length)
+      return sendResponse(res, 200, 'No cards were changed', { results, warnings: [] });
+
+    const updatedProject = await saveProjectColumns(
+      project,
+      req.user.userId,
+      reindexColumns(columns),
+      { archivedCards }
+    );
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const warnings = await findOpenBlockerWarnings(
+      findNewlyDoneCards(project.columns || [], updatedProject.columns),
+      req.user.userId
+    );
+
+    return sendResponse(res, 200, 'Bulk operations processed', { results, warnings });
+  } catch (err) {
+    return handleRouteError(res, 'Bulk card operations error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/clone:
+ *   post:
+ *     summary: Copy a card into this or another project
+ *     description: >
+ *       Copies the card's fields and checklist (unchecked) onto the target
+ *       board; backlog cards can be copied too. Comments, activity,
+ *       worklogs, attachments and links are not copied. The caller must be a
+ *       member of both projects; an assignee who is not a member of the target
+ *       project is cleared unless another one is given.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CardTransferRequest'
+ *     responses:
+ *       201:
+ *         description: Card cloned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/CardTransferResult'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the target project
+ *       404:
+ *         description: Project, card or target column not found
+ *       409:
+ *         description: WIP limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/clone', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { targetProjectId = projectId, column, title, assignee: requestedAssignee, overrideWipLimit } = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim()))
+      return sendResponse(res, 400, 'Card title cannot be empty');
+
+    const loaded = await loadCardTransferProjects(projectId, targetProjectId, req.user.userId, cardId);
+    if (loaded.status)
+      return sendResponse(res, loaded.status, loaded.message);
+
+    const { source, target, card } = loaded;
+
+    const targetColumn = findTransferColumn(target, column);
+    if (!targetColumn)
+      return sendResponse(res, 404, 'Target column not found');
+
+    const wipViolation = overrideWipLimit === true ? null : findColumnWipViolation(targetColumn);
+    if (wipViolation)
+      return sendWipLimitConflict(res, [wipViolation]);
+
+    const resolvedAssignee = resolveTransferAssignee(card, target, requestedAssignee);
+    if (resolvedAssignee.error)
+      return sendResponse(res, 400, resolvedAssignee.error);
+
+    const reservation = await reserveCardNumbers(target._id, 1);
+    if (!reservation)
+      return sendResponse(res, 404, 'Target project not found');
+
+    const { fields, unmapped } = mapCardToProject(card, source, target);
+    const sameProject = String(source._id) === String(target._id);
+    const now = new Date();
+
+    const clone = normalizeCard({
+      ...fields,
+      title: title ? title.trim() : card.title,
+      description: card.description || '',
+      status: targetColumn.name,
+      assignee: resolvedAssignee.assignee,
+      dueDate: card.dueDate,
+      storyPoints: card.storyPoints ?? null,
+      originalEstimate: card.originalEstimate ?? null,
+      remainingEstimate: card.originalEstimate ?? null,
+      parentCard: sameProject ? card.parentCard || null : null,
+      checklist: (card.checklist || []).map((item) => ({
+        text: item.text,
+        done: false,
+        createdAt: now
+      })),
+      number: reservation.first,
+      key: formatIssueKey(reservation.key, reservation.first),
+      createdBy: req.user.userId,
+      watchers: addCardWatchers([], req.user.userId, resolvedAssignee.assignee),
+      mentions: resolveMentions(card.description, await loadMemberDirectory(target)),
+      activity: buildCardActivity(null, { status: targetColumn.name }, req.user.userId, now),
+      createdAt: now,
+      updatedAt: now
+    }, targetColumn.name);
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { _id: target._id },
+      { $push: { 'columns.$[column].cards': clone }, $inc: { __v: 1 } },
+      { new: true, arrayFilters: [{ 'column.name': targetColumn.name }] }
+    );
+
+    const location = updatedProject && findCardLocation(updatedProject.columns, clone._id);
+    if (!location)
+      return sendBoardConflict(res);
+
+    await syncProjectStatus(updatedProject);
+
+    return sendResponse(res, 201, 'Card cloned', {
+      card: location.card,
+      projectId: target._id,
+      column: location.column.name,
+      assigneeCleared: Boolean(resolvedAssignee.cleared),
+      unmapped
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Clone card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/transfer:
+ *   post:
+ *     summary: Move a card to another project
+ *     description: >
+ *       The card keeps its comments, activity, worklogs, attachments, checklist
+ *       and links, and gets a new issue key in the target project. A backlog
+ *       card lands on the target board like any other. Its parent
+ *       and epic are dropped, and subtasks left behind are detached. The caller
+ *       must be a member of both projects; an assignee who is not a member of
+ *       the target project is cleared unless another one is given.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CardTransferRequest'
+ *               - type: object
+ *                 required:
+ *                   - targetProjectId
+ *     responses:
+ *       200:
+ *         description: Card moved to the target project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/CardTransferResult'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the target project
+ *       404:
+ *         description: Project, card or target column not found
+ *       409:
+ *         description: WIP limit exceeded, or one of the boards was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/transfer', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { targetProjectId, column, assignee: requestedAssignee, overrideWipLimit } = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    if (!targetProjectId)
+      return sendResponse(res, 400, 'targetProjectId is required');
+
+    if (String(targetProjectId) === String(projectId))
+      return sendResponse(res, 400, 'Use the move endpoint to move a card within a project');
+
+    const loaded = await loadCardTransferProjects(projectId, targetProjectId, req.user.userId, cardId);
+    if (loaded.status)
+      return sendResponse(res, loaded.status, loaded.message);
+
+    const { source, target, card, inBacklog } = loaded;
+
+    const targetColumn = findTransferColumn(target, column);
+    if (!targetColumn)
+      return sendResponse(res, 404, 'Target column not found');
+
+    const wipViolation = overrideWipLimit === true ? null : findColumnWipViolation(targetColumn);
+    if (wipViolation)
+      return sendWipLimitConflict(res, [wipViolation]);
+
+    const resolvedAssignee = resolveTransferAssignee(card, target, requestedAssignee);
+    if (resolvedAssignee.error)
+      return sendResponse(res, 400, resolvedAssignee.error);
+
+    const reservation = await reserveCardNumbers(target._id, 1);
+    if (!reservation)
+      return sendResponse(res, 404, 'Target project not found');
+
+    const { fields, unmapped } = mapCardToProject(card, source, target);
+    const key = formatIssueKey(reservation.key, reservation.first);
+    const now = new Date();
+    const changes = {
+      ...fields,
+      status: targetColumn.name,
+      assignee: resolvedAssignee.assignee,
+      parentCard: null,
+      ...(inBacklog ? { backlogAt: null } : {})
+    };
+
+    const moved = {
+      ...card,
+      ...changes,
+      number: reservation.first,
+      key,
+      watchers: addCardWatchers(
+        (card.watchers || []).filter((watcher) => isProjectMember(target, watcher)),
+        resolvedAssignee.assignee
+      ),
+      mentions: resolveMentions(card.description, await loadMemberDirectory(target)),
+      activity: [
+        ...(card.activity || []),
+        ...buildCardActivity(card, changes, req.user.userId, now),
+        {
+          actor: req.user.userId,
+          field: 'project',
+          oldValue: card.key || String(source._id),
+          newValue: key,
+          at: now
+        }
+      ],
+      updatedAt: now
+    };
+
+    const updatedTarget = await Project.findOneAndUpdate(
+      { _id: target._id },
+      { $push: { 'columns.$[column].cards': moved }, $inc: { __v: 1 } },
+      { new: true, arrayFilters: [{ 'column.name': targetColumn.name }] }
+    );
+
+    const location = updatedTarget && findCardLocation(updatedTarget.columns, cardId);
+    if (!location)
+      return sendBoardConflict(res);
+
+    // The source must still hold the version that was copied; otherwise undo.
+    const updatedSource = await Project.findOneAndUpdate(
+      { _id: source._id, __v: source.__v },
+      { $pull: { [inBacklog ? 'backlog' : 'columns.$[].cards']: { _id: card._id } }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!updatedSource) {
+      await Project.updateOne(
+        { _id: target._id },
+        { $pull: { 'columns.$[].cards': { _id: card._id } }, $inc: { __v: 1 } }
+      );
+      return sendBoardConflict(res);
+    }
+
+    await syncProjectStatus(updatedTarget);
+    await syncProjectStatus(updatedSource);
+
+    await Project.updateOne(
+      { _id: source._id, ...anyCardMatches('parentCard', card._id) },
+      { $set: everyCardPath('$[child].parentCard', null), $inc: { __v: 1 } },
+      { arrayFilters: [{ 'child.parentCard': card._id }] }
+    );
+
+    await Project.updateMany(
+      anyCardMatches('links.card', card._id),
+      { $set: everyCardPath('$[].links.$[link].project', target._id), $inc: { __v: 1 } },
+      { arrayFilters: [{ 'link.card': card._id }] }
+    );
+
+    return sendResponse(res, 200, 'Card moved to project', {
+      card: location.card,
+      projectId: target._id,
+      column: location.column.name,
+      assigneeCleared: Boolean(resolvedAssignee.cleared),
+      unmapped
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Transfer card error', err);
+  }
+});
+
+module.exports = router;
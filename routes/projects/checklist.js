@@ -0,0 +1,299 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  isValidObjectId,
+  cardArrayFilters,
+  findCardContext,
+  findContextCard,
+  buildCardProgress
+} = require('./helpers');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/checklist:
+ *   post:
+ *     summary: Add a checklist item to a card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Checklist item added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     checklist:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ChecklistItem'
+ *                     progress:
+ *                       $ref: '#/components/schemas/CardProgress'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/checklist', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { text } = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    if (typeof text !== 'string' || !text.trim())
+      return sendResponse(res, 400, 'Checklist item text is required');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $push: {
+          [context.fieldPath('checklist')]: {
+            text: text.trim(),
+            done: false,
+            createdAt: new Date()
+          }
+        },
+        $set: { [context.fieldPath('updatedAt')]: new Date() },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 201, 'Checklist item added', {
+      checklist: card.checklist,
+      progress: buildCardProgress(updatedProject.columns, card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Add checklist item error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/checklist/{itemId}:
+ *   patch:
+ *     summary: Rename a checklist item or toggle it done/not done
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Checklist item updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project, card or checklist item not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/cards/:cardId/checklist/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, itemId } = req.params;
+    const { text, done } = req.body || {};
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(itemId))
+      return sendResponse(res, 400, 'Invalid card or checklist item id');
+
+    if (text === undefined && done === undefined)
+      return sendResponse(res, 400, 'Provide text or done to update');
+
+    if (text !== undefined && (typeof text !== 'string' || !text.trim()))
+      return sendResponse(res, 400, 'Checklist item text cannot be empty');
+
+    if (done !== undefined && typeof done !== 'boolean')
+      return sendResponse(res, 400, 'done must be a boolean');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const itemPath = (field) => `${context.fieldPath('checklist')}.$[item].${field}`;
+    const $set = { [context.fieldPath('updatedAt')]: new Date() };
+
+    if (text !== undefined)
+      $set[itemPath('text')] = text.trim();
+
+    if (done !== undefined) {
+      $set[itemPath('done')] = done;
+      $set[itemPath('doneAt')] = done ? new Date() : null;
+      $set[itemPath('doneBy')] = done ? req.user.userId : null;
+    }
+
+    const itemObjectId = new mongoose.Types.ObjectId(itemId);
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...context.accessQuery,
+        [context.queryPath('checklist._id')]: itemObjectId
+      },
+      { $set, $inc: { __v: 1 } },
+      {
+        new: true,
+        arrayFilters: [...cardArrayFilters(cardId), { 'item._id': itemObjectId }]
+      }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project, card or checklist item not found');
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 200, 'Checklist item updated', {
+      checklist: card.checklist,
+      progress: buildCardProgress(updatedProject.columns, card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update checklist item error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/checklist/{itemId}:
+ *   delete:
+ *     summary: Remove a checklist item from a card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Checklist item removed
+ *       400:
+ *         description: Invalid id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project, card or checklist item not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/cards/:cardId/checklist/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, itemId } = req.params;
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(itemId))
+      return sendResponse(res, 400, 'Invalid card or checklist item id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const itemObjectId = new mongoose.Types.ObjectId(itemId);
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...context.accessQuery,
+        [context.queryPath('checklist._id')]: itemObjectId
+      },
+      {
+        $pull: { [context.fieldPath('checklist')]: { _id: itemObjectId } },
+        $set: { [context.fieldPath('updatedAt')]: new Date() },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project, card or checklist item not found');
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 200, 'Checklist item removed', {
+      checklist: card.checklist,
+      progress: buildCardProgress(updatedProject.columns, card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Delete checklist item error', err);
+  }
+});
+
+module.exports = router;
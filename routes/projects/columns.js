@@ -0,0 +1,777 @@
+const express = require('express');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  normalizeColumns,
+  normalizeExistingColumns,
+  normalizeColumnName,
+  findColumnIndex,
+  sortColumnsByOrder,
+  reindexColumns,
+  sanitizeColumns,
+  buildProjectAccessQuery,
+  mergeIncomingCards,
+  saveProjectColumns,
+  sendBoardConflict,
+  assignCardNumbers,
+  resolveColumnCategories,
+  findNewlyDoneCards,
+  findOpenBlockerWarnings,
+  resolveIncomingCards,
+  buildNewCardDefaults,
+  validateColumnCategory,
+  validateWipLimit,
+  describeColumnLoad,
+  findWipLimitViolations,
+  sendWipLimitConflict
+} = require('./helpers');
+
+const router = express.Router();
+
+function columnNameExists(columns = [], name, ignoreIndex = -1) {
+  const normalized = normalizeColumnName(name).toLowerCase();
+  if (!normalized)
+    return false;
+
+  return columns.some((column, idx) =>
+    idx !== ignoreIndex &&
+    normalizeColumnName(column.name).toLowerCase() === normalized
+  );
+}
+
+function removeCardsFromOtherColumns(columns = [], keepColumnIndex, cardIds = []) {
+  const ids = new Set(cardIds.map((id) => String(id)));
+
+  columns.forEach((column, idx) => {
+    if (idx === keepColumnIndex || !Array.isArray(column.cards))
+      return;
+
+    column.cards = column.cards.filter((card) => !ids.has(String(card._id)));
+  });
+}
+
+function getColumnCategory(columns = [], name = '') {
+  return resolveColumnCategories(columns).get(normalizeColumnName(name).toLowerCase()) || null;
+}
+
+function parseListQuery(value) {
+  if (typeof value !== 'string' || !value.trim())
+    return null;
+
+  const values = value
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  return values.length ? new Set(values) : null;
+}
+
+// Applies the card filters supported by the column listing endpoints.
+function filterColumnCards(columns = [], query = {}) {
+  const issueTypes = parseListQuery(query.issueType);
+  const priorities = parseListQuery(query.priority);
+
+  if (!issueTypes && !priorities)
+    return columns;
+
+  return columns.map((column) => ({
+    ...column,
+    cards: (column.cards || []).filter((card) =>
+      (!issueTypes || issueTypes.has(String(card.issueType || '').toLowerCase())) &&
+      (!priorities || priorities.has(String(card.priority || '').toLowerCase()))
+    )
+  }));
+}
+
+// `fields` for saveProjectColumns that follow a renamed (or, with a null
+// nextName, deleted) column in the flow settings.
+function syncFlowSettings(project = {}, previousName, nextName) {
+  const settings = project.flowSettings;
+  if (!settings)
+    return {};
+
+  const key = normalizeColumnName(previousName).toLowerCase();
+  const follow = (names = []) => names.flatMap((name) => {
+    if (normalizeColumnName(name).toLowerCase() !== key)
+      return [name];
+
+    return nextName ? [nextName] : [];
+  });
+
+  const flowSettings = {
+    startedColumns: follow(settings.startedColumns),
+    doneColumns: follow(settings.doneColumns)
+  };
+
+  const changed = ['startedColumns', 'doneColumns']
+    .some((field) => flowSettings[field].join('\n') !== (settings[field] || []).join('\n'));
+
+  return changed ? { flowSettings } : {};
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/columns:
+ *   get:
+ *     summary: Fetch board columns/statuses for a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: names
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of column names to check for existence
+ *       - in: query
+ *         name: issueType
+ *         schema:
+ *           type: string
+ *         description: Comma-separated issue types to keep (e.g. bug,story)
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         description: Comma-separated priorities to keep (e.g. highest,high)
+ *     responses:
+ *       200:
+ *         description: Columns fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     columns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BoardColumn'
+ *                     requestedColumns:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           exists:
+ *                             type: boolean
+ *                           column:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/BoardColumn'
+ *                               - nullable: true
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/columns', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { names } = req.query || {};
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const categories = resolveColumnCategories(project.columns || []);
+    const columns = filterColumnCards(
+      sortColumnsByOrder(
+        normalizeExistingColumns(project.columns || [], { enforceDefaultCard: false })
+      ).map((column) => ({
+        ...column,
+        category: categories.get(normalizeColumnName(column.name).toLowerCase()),
+        load: describeColumnLoad(column)
+      })),
+      req.query
+    );
+
+    const extra = { columns };
+
+    if (typeof names === 'string' && names.trim()) {
+      const requestedNames = Array.from(
+        new Set(
+          names
+            .split(',')
+            .map((value) => normalizeColumnName(value))
+            .filter(Boolean)
+        )
+      );
+
+      if (requestedNames.length) {
+        extra.requestedColumns = requestedNames.map((targetName) => {
+          const column = columns.find(
+            (col) => normalizeColumnName(col.name).toLowerCase() === targetName.toLowerCase()
+          );
+
+          return {
+            name: targetName,
+            exists: Boolean(column),
+            column: column || null
+          };
+        });
+      }
+    }
+
+    return sendResponse(res, 200, 'Board columns fetched', extra);
+  } catch (err) {
+    return handleRouteError(res, 'List project columns error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/columns:
+ *   post:
+ *     summary: Create a new board column/status
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *                 description: Desired order position (1-based)
+ *               wipLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 description: Maximum number of cards in the column; null removes the limit
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [to-do, in-progress, done]
+ *                 description: Drives the project status; without one the column is categorised by its position
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               cards:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BoardCard'
+ *     responses:
+ *       201:
+ *         description: Column created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Column already exists, WIP limit exceeded, or board changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/columns', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { name, order, cards, wipLimit, category, overrideWipLimit } = req.body;
+
+    const normalizedName = normalizeColumnName(name);
+
+    if (!normalizedName)
+      return sendResponse(res, 400, 'Column name is required');
+
+    if (cards !== undefined && !Array.isArray(cards))
+      return sendResponse(res, 400, 'Cards must be an array');
+
+    const wipLimitError = validateWipLimit(wipLimit);
+    if (wipLimitError)
+      return sendResponse(res, 400, wipLimitError);
+
+    const categoryError = validateColumnCategory(category);
+    if (categoryError)
+      return sendResponse(res, 400, categoryError);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId)
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    let columns = sanitizeColumns(project.columns || [], { enforceDefaultCard: false });
+
+    if (columnNameExists(columns, normalizedName))
+      return sendResponse(res, 409, 'Column already exists');
+
+    const incoming = resolveIncomingCards(project, cards);
+    if (incoming.error)
+      return sendResponse(res, 400, incoming.error);
+
+    const [preparedColumn] = normalizeColumns(
+      [{
+        name: normalizedName,
+        order,
+        wipLimit,
+        category,
+        cards: Array.isArray(cards)
+          ? mergeIncomingCards(
+              columns,
+              incoming.cards,
+              normalizedName,
+              req.user.userId,
+              buildNewCardDefaults(project)
+            )
+          : cards
+      }],
+      { enforceDefaultCard: false }
+    );
+
+    removeCardsFromOtherColumns(columns, -1, preparedColumn.cards.map((card) => card._id));
+
+    const parsedOrder = Number(order);
+    const hasOrder = Number.isFinite(parsedOrder) && parsedOrder > 0;
+    const insertionIndex = hasOrder
+      ? Math.min(Math.floor(parsedOrder) - 1, columns.length)
+      : columns.length;
+
+    columns.splice(insertionIndex, 0, preparedColumn);
+
+    const updatedColumns = reindexColumns(columns);
+
+    const wipViolations = findWipLimitViolations(project.columns || [], updatedColumns);
+    if (wipViolations.length && overrideWipLimit !== true)
+      return sendWipLimitConflict(res, wipViolations);
+
+    await assignCardNumbers(project._id, updatedColumns);
+
+    const updatedProject = await saveProjectColumns(project, req.user.userId, updatedColumns);
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 201, 'Column created', {
+      column: updatedProject.columns[insertionIndex],
+      columns: updatedProject.columns
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Create column error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/columns/{columnName}:
+ *   get:
+ *     summary: Fetch a single board column/status
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: columnName
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: issueType
+ *         schema:
+ *           type: string
+ *         description: Comma-separated issue types to keep (e.g. bug,story)
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         description: Comma-separated priorities to keep (e.g. highest,high)
+ *     responses:
+ *       200:
+ *         description: Column fetched
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or column not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/columns/:columnName', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, columnName } = req.params;
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const columns = normalizeExistingColumns(project.columns || [], { enforceDefaultCard: false });
+    const columnIndex = findColumnIndex(columns, columnName);
+
+    if (columnIndex === -1)
+      return sendResponse(res, 404, 'Column not found', { exists: false });
+
+    const [column] = filterColumnCards(
+      [{
+        ...columns[columnIndex],
+        category: getColumnCategory(columns, columns[columnIndex].name),
+        load: describeColumnLoad(columns[columnIndex])
+      }],
+      req.query
+    );
+
+    return sendResponse(res, 200, 'Column fetched', { column });
+  } catch (err) {
+    return handleRouteError(res, 'Get column error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/columns/{columnName}:
+ *   put:
+ *     summary: Update an existing board column/status
+ *     description: >
+ *       Existing cards left out of a `cards` array are moved to the project's trash.
+ *       A rename also applies to the column's cards in the backlog, archive and trash.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: columnName
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *               wipLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 description: Maximum number of cards in the column; null removes the limit
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [to-do, in-progress, done]
+ *                 description: Drives the project status; without one the column is categorised by its position
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               cards:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BoardCard'
+ *     responses:
+ *       200:
+ *         description: Column updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or column not found
+ *       409:
+ *         description: Duplicate column name, WIP limit exceeded, or board changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.put('/:projectId/columns/:columnName', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, columnName } = req.params;
+    const { name, order, cards, wipLimit, category, overrideWipLimit } = req.body;
+
+    const hasUpdates =
+      typeof name === 'string' ||
+      (order !== undefined && order !== null) ||
+      Array.isArray(cards) ||
+      wipLimit !== undefined ||
+      category !== undefined;
+
+    if (!hasUpdates)
+      return sendResponse(res, 400, 'Provide at least one field to update');
+
+    if (cards !== undefined && cards !== null && !Array.isArray(cards))
+      return sendResponse(res, 400, 'Cards must be an array');
+
+    const wipLimitError = validateWipLimit(wipLimit);
+    if (wipLimitError)
+      return sendResponse(res, 400, wipLimitError);
+
+    const categoryError = validateColumnCategory(category);
+    if (categoryError)
+      return sendResponse(res, 400, categoryError);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId)
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    let columns = sanitizeColumns(project.columns || [], { enforceDefaultCard: false });
+    const columnIndex = findColumnIndex(columns, columnName);
+
+    if (columnIndex === -1)
+      return sendResponse(res, 404, 'Column not found');
+
+    const column = columns[columnIndex];
+    const previousName = column.name;
+
+    if (wipLimit !== undefined)
+      column.wipLimit = wipLimit;
+
+    if (category !== undefined)
+      column.category = category;
+
+    if (typeof name === 'string') {
+      const newName = normalizeColumnName(name);
+      if (!newName)
+        return sendResponse(res, 400, 'Column name cannot be empty');
+
+      if (columnNameExists(columns, newName, columnIndex))
+        return sendResponse(res, 409, 'Column with this name already exists');
+
+      column.name = newName;
+      column.cards = column.cards.map((card) => ({
+        ...card,
+        status: newName
+      }));
+    }
+
+    if (Array.isArray(cards)) {
+      const incoming = resolveIncomingCards(project, cards);
+      if (incoming.error)
+        return sendResponse(res, 400, incoming.error);
+
+      const [normalizedColumn] = normalizeColumns(
+        [{
+          ...column,
+          cards: mergeIncomingCards(
+            columns,
+            incoming.cards,
+            column.name,
+            req.user.userId,
+            buildNewCardDefaults(project)
+          )
+        }],
+        { enforceDefaultCard: false }
+      );
+      column.cards = normalizedColumn.cards;
+      removeCardsFromOtherColumns(columns, columnIndex, column.cards.map((card) => card._id));
+    }
+
+    if (order !== undefined && order !== null) {
+      const parsedOrder = Number(order);
+
+      if (!Number.isFinite(parsedOrder))
+        return sendResponse(res, 400, 'Order must be a number');
+
+      const nextColumns = columns.slice();
+      const [movedColumn] = nextColumns.splice(columnIndex, 1);
+      const targetIndex = Math.min(
+        Math.max(Math.floor(parsedOrder) - 1, 0),
+        nextColumns.length
+      );
+      nextColumns.splice(targetIndex, 0, movedColumn);
+      columns = nextColumns;
+    }
+
+    const updatedColumns = reindexColumns(columns);
+
+    // A rename alone must not make the column's current cards look newly added.
+    const wipViolations = findWipLimitViolations(
+      (project.columns || []).map((entry) => (
+        normalizeColumnName(entry.name).toLowerCase() === normalizeColumnName(previousName).toLowerCase()
+          ? { ...entry, name: column.name }
+          : entry
+      )),
+      updatedColumns
+    );
+    if (wipViolations.length && overrideWipLimit !== true)
+      return sendWipLimitConflict(res, wipViolations);
+
+    await assignCardNumbers(project._id, updatedColumns);
+
+    const renamedColumn = previousName === column.name ? null : { from: previousName, to: column.name };
+    const fields = syncFlowSettings(project, previousName, column.name);
+    if (renamedColumn)
+      fields.columnRenames = [...(project.columnRenames || []), { ...renamedColumn, at: new Date() }];
+
+    const updatedProject = await saveProjectColumns(project, req.user.userId, updatedColumns, {
+      fields,
+      renamedColumn
+    });
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const warnings = await findOpenBlockerWarnings(
+      findNewlyDoneCards(project.columns || [], updatedProject.columns),
+      req.user.userId
+    );
+
+    return sendResponse(res, 200, 'Column updated', { columns: updatedProject.columns, warnings });
+  } catch (err) {
+    return handleRouteError(res, 'Update column error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/columns/{columnName}:
+ *   delete:
+ *     summary: Delete a board column/status
+ *     description: Cards that are not moved to another column are moved to the project's trash.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: columnName
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               targetColumn:
+ *                 type: string
+ *                 description: Column to move cards into before deletion
+ *     responses:
+ *       200:
+ *         description: Column deleted
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or column not found
+ *       409:
+ *         description: WIP limit exceeded, or board changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/columns/:columnName', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, columnName } = req.params;
+    const { targetColumn, overrideWipLimit } = req.body || {};
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId)
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    let columns = sanitizeColumns(project.columns || [], { enforceDefaultCard: false });
+    const columnIndex = findColumnIndex(columns, columnName);
+
+    if (columnIndex === -1)
+      return sendResponse(res, 404, 'Column not found');
+
+    const [removedColumn] = columns.splice(columnIndex, 1);
+
+    const hasCards = Array.isArray(removedColumn.cards) && removedColumn.cards.length;
+
+    if (hasCards) {
+      const normalizedTarget = normalizeColumnName(targetColumn);
+
+      if (!normalizedTarget)
+        return sendResponse(
+          res,
+          400,
+          'Column contains cards. Provide targetColumn or empty it before deletion'
+        );
+
+      const targetIndex = findColumnIndex(columns, normalizedTarget);
+
+      if (targetIndex === -1)
+        return sendResponse(res, 400, 'Target column not found');
+
+      const destinationName = columns[targetIndex].name;
+      const migratedCards = removedColumn.cards.map((card) => ({
+        ...card,
+        status: destinationName
+      }));
+
+      columns[targetIndex].cards = [...columns[targetIndex].cards, ...migratedCards];
+    }
+
+    const updatedColumns = reindexColumns(columns);
+
+    const wipViolations = findWipLimitViolations(project.columns || [], updatedColumns);
+    if (wipViolations.length && overrideWipLimit !== true)
+      return sendWipLimitConflict(res, wipViolations);
+
+    const updatedProject = await saveProjectColumns(project, req.user.userId, updatedColumns, {
+      fields: syncFlowSettings(project, removedColumn.name, null)
+    });
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const warnings = await findOpenBlockerWarnings(
+      findNewlyDoneCards(project.columns || [], updatedProject.columns),
+      req.user.userId
+    );
+
+    return sendResponse(res, 200, 'Column deleted', {
+      removedColumn: removedColumn.name,
+      columns: updatedProject.columns,
+      warnings
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Delete column error', err);
+  }
+});
+
+module.exports = router;
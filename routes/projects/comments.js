@@ -0,0 +1,453 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  isProjectOwner,
+  isValidObjectId,
+  cardArrayFilters,
+  findCardContext,
+  findContextCard,
+  loadMemberDirectory,
+  resolveMentions,
+  replaceCardMentions,
+  listUnresolvedMentions
+} = require('./helpers');
+
+const router = express.Router();
+
+function buildCommentThreads(comments = []) {
+  const nodes = new Map(
+    comments.map((comment) => [String(comment._id), { ...comment, replies: [] }])
+  );
+  const threads = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parentId ? nodes.get(String(node.parentId)) : null;
+
+    if (parent)
+      parent.replies.push(node);
+    else
+      threads.push(node);
+  });
+
+  return threads;
+}
+
+function collectCommentBranch(comments = [], rootId) {
+  const ids = new Set([String(rootId)]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    comments.forEach((comment) => {
+      const id = String(comment._id);
+      if (!ids.has(id) && comment.parentId && ids.has(String(comment.parentId))) {
+        ids.add(id);
+        added = true;
+      }
+    });
+  }
+
+  return [...ids].map((id) => new mongoose.Types.ObjectId(id));
+}
+
+function validateCommentBody(body) {
+  if (typeof body !== 'string' || !body.trim())
+    return 'Comment body is required';
+
+  if (body.length > 5000)
+    return 'Comment body cannot exceed 5000 characters';
+
+  return null;
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/comments:
+ *   get:
+ *     summary: List a card's comments as threads
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Comments fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     comments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CardComment'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/comments', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    return sendResponse(res, 200, 'Comments fetched', {
+      comments: buildCommentThreads(context.card.comments || [])
+    });
+  } catch (err) {
+    return handleRouteError(res, 'List comments error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/comments:
+ *   post:
+ *     summary: Comment on a card or reply to an existing comment
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 description: Comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     comment:
+ *                       $ref: '#/components/schemas/CardComment'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project, card or parent comment not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/comments', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { body, parentId } = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const validationError = validateCommentBody(body);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    if (parentId && !isValidObjectId(parentId))
+      return sendResponse(res, 400, 'Invalid parent comment id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    if (parentId) {
+      const parentExists = (context.card.comments || []).some(
+        (comment) => String(comment._id) === String(parentId)
+      );
+      if (!parentExists)
+        return sendResponse(res, 404, 'Parent comment not found');
+    }
+
+    const now = new Date();
+    const comment = {
+      _id: new mongoose.Types.ObjectId(),
+      author: req.user.userId,
+      body: body.trim(),
+      parentId: parentId || null,
+      createdAt: now,
+      updatedAt: now,
+      editedAt: null
+    };
+    const mentions = resolveMentions(comment.body, await loadMemberDirectory(context.project), {
+      source: 'comment',
+      comment: comment._id
+    });
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $push: {
+          [context.fieldPath('comments')]: comment,
+          [context.fieldPath('mentions')]: { $each: mentions }
+        },
+        $addToSet: { [context.fieldPath('watchers')]: new mongoose.Types.ObjectId(req.user.userId) },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    return sendResponse(res, 201, 'Comment added', {
+      comment,
+      mentions,
+      unresolvedMentions: listUnresolvedMentions(mentions)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Add comment error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment (author only)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the author can edit the comment
+ *       404:
+ *         description: Project, card or comment not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/cards/:cardId/comments/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, commentId } = req.params;
+    const { body } = req.body || {};
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(commentId))
+      return sendResponse(res, 400, 'Invalid card or comment id');
+
+    const validationError = validateCommentBody(body);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const existing = (context.card.comments || []).find(
+      (comment) => String(comment._id) === String(commentId)
+    );
+
+    if (!existing)
+      return sendResponse(res, 404, 'Comment not found');
+
+    if (String(existing.author) !== String(req.user.userId))
+      return sendResponse(res, 403, 'Only the author can edit this comment');
+
+    const now = new Date();
+    const commentPath = (field) => `${context.fieldPath('comments')}.$[comment].${field}`;
+    const mentions = resolveMentions(body, await loadMemberDirectory(context.project), {
+      source: 'comment',
+      comment: existing._id
+    });
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $set: {
+          [commentPath('body')]: body.trim(),
+          [commentPath('updatedAt')]: now,
+          [commentPath('editedAt')]: now,
+          [context.fieldPath('mentions')]: replaceCardMentions(context.card.mentions || [], mentions, {
+            source: 'comment',
+            comments: [existing._id]
+          })
+        },
+        $inc: { __v: 1 }
+      },
+      {
+        new: true,
+        arrayFilters: [
+          ...cardArrayFilters(cardId),
+          { 'comment._id': new mongoose.Types.ObjectId(commentId) }
+        ]
+      }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const card = findContextCard(updatedProject, context, cardId);
+    const comment = card.comments.find((entry) => String(entry._id) === String(commentId));
+
+    return sendResponse(res, 200, 'Comment updated', {
+      comment,
+      mentions,
+      unresolvedMentions: listUnresolvedMentions(mentions)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update comment error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment and its replies (author or project owner)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       400:
+ *         description: Invalid id
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to delete the comment
+ *       404:
+ *         description: Project, card or comment not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/cards/:cardId/comments/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, commentId } = req.params;
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(commentId))
+      return sendResponse(res, 400, 'Invalid card or comment id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const comments = context.card.comments || [];
+    const existing = comments.find((comment) => String(comment._id) === String(commentId));
+
+    if (!existing)
+      return sendResponse(res, 404, 'Comment not found');
+
+    const isAuthor = String(existing.author) === String(req.user.userId);
+    if (!isAuthor && !isProjectOwner(context.project, req.user.userId))
+      return sendResponse(res, 403, 'Only the author or project owner can delete this comment');
+
+    const removedIds = collectCommentBranch(comments, commentId);
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $pull: {
+          [context.fieldPath('comments')]: { _id: { $in: removedIds } },
+          [context.fieldPath('mentions')]: { comment: { $in: removedIds } }
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    return sendResponse(res, 200, 'Comment deleted', { removedComments: removedIds });
+  } catch (err) {
+    return handleRouteError(res, 'Delete comment error', err);
+  }
+});
+
+module.exports = router;
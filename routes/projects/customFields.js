@@ -0,0 +1,435 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  normalizeColumnName,
+  buildProjectAccessQuery,
+  isProjectOwner,
+  isValidObjectId,
+  rewriteProjectCards,
+  sendBoardConflict,
+  escapeRegExp,
+  collectProjectCards
+} = require('./helpers');
+
+const router = express.Router();
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'single-select', 'multi-select', 'user'];
+
+const SELECT_FIELD_TYPES = ['single-select', 'multi-select'];
+
+function normalizeFieldOptions(options) {
+  if (!Array.isArray(options) || options.some((option) => typeof option !== 'string'))
+    return null;
+
+  return [...new Set(options.map((option) => normalizeColumnName(option)).filter(Boolean))];
+}
+
+function validateCustomFieldPayload(registry = [], { name, type, options } = {}, ignoreFieldId = null) {
+  if (name !== undefined) {
+    const normalizedName = normalizeColumnName(typeof name === 'string' ? name : '');
+    if (!normalizedName)
+      return 'Custom field name is required';
+
+    if (normalizedName.length > 50)
+      return 'Custom field name cannot exceed 50 characters';
+
+    const duplicate = registry.some((field) =>
+      String(field._id) !== String(ignoreFieldId) &&
+      normalizeColumnName(field.name).toLowerCase() === normalizedName.toLowerCase()
+    );
+    if (duplicate)
+      return 'A custom field with this name already exists';
+  }
+
+  if (type !== undefined && !CUSTOM_FIELD_TYPES.includes(type))
+    return `Custom field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`;
+
+  if (options !== undefined) {
+    const normalizedOptions = normalizeFieldOptions(options);
+    if (!normalizedOptions)
+      return 'Options must be an array of strings';
+
+    if (SELECT_FIELD_TYPES.includes(type) && !normalizedOptions.length)
+      return 'Select fields need at least one option';
+  }
+
+  return null;
+}
+
+function findOptionsInUse(project = {}, field = {}, nextOptions = []) {
+  const fieldId = String(field._id);
+  const used = collectProjectCards(project).flatMap((card) => {
+    const value = (card.customFieldValues || {})[fieldId];
+    return Array.isArray(value) ? value : [value];
+  });
+
+  return [...new Set(used.filter((option) => option && !nextOptions.includes(option)))];
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/custom-fields:
+ *   get:
+ *     summary: List the project's custom field definitions
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Custom fields fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     customFields:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CustomField'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/custom-fields', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { customFields: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    return sendResponse(res, 200, 'Custom fields fetched', {
+      customFields: project.customFields || []
+    });
+  } catch (err) {
+    return handleRouteError(res, 'List custom fields error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/custom-fields:
+ *   post:
+ *     summary: Define a custom field (project owner only)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Customer
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, date, single-select, multi-select, user]
+ *               options:
+ *                 type: array
+ *                 description: Required for select fields
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Custom field created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the project owner can define custom fields
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/custom-fields', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { name, type, options } = req.body || {};
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, customFields: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can define custom fields');
+
+    if (type === undefined)
+      return sendResponse(res, 400, 'Custom field type is required');
+
+    const validationError = validateCustomFieldPayload(project.customFields || [], {
+      name: name || '',
+      type,
+      options: SELECT_FIELD_TYPES.includes(type) ? options || [] : options
+    });
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const customField = {
+      _id: new mongoose.Types.ObjectId(),
+      name: normalizeColumnName(name),
+      type,
+      options: SELECT_FIELD_TYPES.includes(type) ? normalizeFieldOptions(options) : [],
+      createdBy: req.user.userId,
+      createdAt: new Date()
+    };
+
+    // The name filter guards against a concurrent request adding the same field.
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...buildProjectAccessQuery(projectId, req.user.userId),
+        'customFields.name': { $not: new RegExp(`^${escapeRegExp(customField.name)}$`, 'i') }
+      },
+      { $push: { customFields: customField } },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 400, 'A custom field with this name already exists');
+
+    return sendResponse(res, 201, 'Custom field created', { customField });
+  } catch (err) {
+    return handleRouteError(res, 'Create custom field error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/custom-fields/{fieldId}:
+ *   patch:
+ *     summary: Rename a custom field or change its options (project owner only)
+ *     description: The field type cannot change. Options still used by cards cannot be removed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: fieldId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Custom field updated
+ *       400:
+ *         description: Validation error or options still in use
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the project owner can change custom fields
+ *       404:
+ *         description: Project or custom field not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/custom-fields/:fieldId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, fieldId } = req.params;
+    const { name, options, type } = req.body || {};
+
+    if (!isValidObjectId(fieldId))
+      return sendResponse(res, 400, 'Invalid custom field id');
+
+    if (name === undefined && options === undefined)
+      return sendResponse(res, 400, 'Provide name or options to update');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, customFields: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can change custom fields');
+
+    const field = (project.customFields || []).find((entry) => String(entry._id) === String(fieldId));
+    if (!field)
+      return sendResponse(res, 404, 'Custom field not found');
+
+    if (type !== undefined && type !== field.type)
+      return sendResponse(res, 400, 'A custom field type cannot be changed');
+
+    if (options !== undefined && !SELECT_FIELD_TYPES.includes(field.type))
+      return sendResponse(res, 400, 'Only select fields have options');
+
+    const validationError = validateCustomFieldPayload(
+      project.customFields || [],
+      { name, type: field.type, options },
+      field._id
+    );
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const $set = {};
+    if (name !== undefined)
+      $set['customFields.$.name'] = normalizeColumnName(name);
+
+    if (options !== undefined) {
+      const nextOptions = normalizeFieldOptions(options);
+      const optionsInUse = findOptionsInUse(project, field, nextOptions);
+      if (optionsInUse.length)
+        return sendResponse(res, 400, 'Some removed options are still used by cards', { optionsInUse });
+
+      $set['customFields.$.options'] = nextOptions;
+    }
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), 'customFields._id': field._id },
+      { $set },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or custom field not found');
+
+    return sendResponse(res, 200, 'Custom field updated', {
+      customField: updatedProject.customFields.find((entry) => String(entry._id) === String(fieldId))
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update custom field error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/custom-fields/{fieldId}:
+ *   delete:
+ *     summary: Delete a custom field and its values on every card (project owner only)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: fieldId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Custom field deleted
+ *       400:
+ *         description: Invalid custom field id
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the project owner can delete custom fields
+ *       404:
+ *         description: Project or custom field not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/custom-fields/:fieldId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, fieldId } = req.params;
+
+    if (!isValidObjectId(fieldId))
+      return sendResponse(res, 400, 'Invalid custom field id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, customFields: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can delete custom fields');
+
+    if (!(project.customFields || []).some((field) => String(field._id) === fieldId))
+      return sendResponse(res, 404, 'Project or custom field not found');
+
+    // Each card's activity keeps the value it loses.
+    const cardUpdate = rewriteProjectCards(project, req.user.userId, (card) => {
+      const values = card.customFieldValues || {};
+      if (values[fieldId] === undefined)
+        return null;
+
+      const kept = { ...values };
+      delete kept[fieldId];
+      return { customFieldValues: kept };
+    });
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), __v: project.__v },
+      {
+        ...cardUpdate,
+        $pull: { customFields: { _id: new mongoose.Types.ObjectId(fieldId) } },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Custom field deleted', { fieldId });
+  } catch (err) {
+    return handleRouteError(res, 'Delete custom field error', err);
+  }
+});
+
+module.exports = router;
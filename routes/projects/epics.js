@@ -0,0 +1,450 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  sortColumnsByOrder,
+  buildProjectAccessQuery,
+  isValidObjectId,
+  rewriteProjectCards,
+  sendBoardConflict,
+  isDoneColumnName,
+  LABEL_COLOR_PATTERN
+} = require('./helpers');
+
+const router = express.Router();
+
+const EPIC_STATUSES = ['to-do', 'in-progress', 'done'];
+
+function validateEpicPayload(payload = {}, { requireName = false } = {}) {
+  const { name, color, status, targetDate, description } = payload;
+
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim())
+      return 'Epic name is required';
+
+    if (name.trim().length > 100)
+      return 'Epic name cannot exceed 100 characters';
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string')
+    return 'Epic description must be a string';
+
+  if (color !== undefined && (typeof color !== 'string' || !LABEL_COLOR_PATTERN.test(color)))
+    return 'Epic color must be a hex value like #6554C0';
+
+  if (status !== undefined && !EPIC_STATUSES.includes(status))
+    return `Epic status must be one of: ${EPIC_STATUSES.join(', ')}`;
+
+  if (targetDate !== undefined && targetDate !== null && Number.isNaN(new Date(targetDate).getTime()))
+    return 'Invalid target date';
+
+  return null;
+}
+
+// Groups the epic's cards by board column; done/total follow the board's done columns.
+function buildEpicOverview(project = {}, epic = {}, { includeCards = true } = {}) {
+  const columns = sortColumnsByOrder(project.columns || []);
+  let total = 0;
+  let done = 0;
+
+  const groups = columns.map((column) => {
+    const cards = (column.cards || []).filter(
+      (card) => card.epic && String(card.epic) === String(epic._id)
+    );
+    const isDone = isDoneColumnName(columns, column.name);
+
+    total += cards.length;
+    if (isDone)
+      done += cards.length;
+
+    return includeCards
+      ? { column: column.name, done: isDone, cards }
+      : null;
+  });
+
+  const overview = {
+    epic,
+    progress: {
+      done,
+      total,
+      percentComplete: total ? Math.round((done / total) * 100) : 0
+    }
+  };
+
+  if (includeCards)
+    overview.columns = groups;
+
+  return overview;
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/epics:
+ *   get:
+ *     summary: List the project's epics with done/total card counts
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Epics fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     epics:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EpicOverview'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/epics', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { epics: 1, columns: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const epics = (project.epics || []).map((epic) =>
+      buildEpicOverview(project, epic, { includeCards: false })
+    );
+
+    return sendResponse(res, 200, 'Epics fetched', { epics });
+  } catch (err) {
+    return handleRouteError(res, 'List epics error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/epics:
+ *   post:
+ *     summary: Create an epic
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#6554C0'
+ *               status:
+ *                 type: string
+ *                 enum: [to-do, in-progress, done]
+ *               targetDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Epic created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/epics', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const payload = req.body || {};
+
+    const validationError = validateEpicPayload(payload, { requireName: true });
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const epic = {
+      _id: new mongoose.Types.ObjectId(),
+      name: payload.name.trim(),
+      description: payload.description || '',
+      color: payload.color || '#6554C0',
+      status: payload.status || 'to-do',
+      targetDate: payload.targetDate ? new Date(payload.targetDate) : null,
+      createdBy: req.user.userId,
+      createdAt: new Date()
+    };
+
+    const updatedProject = await Project.findOneAndUpdate(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { $push: { epics: epic } },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project not found');
+
+    return sendResponse(res, 201, 'Epic created', {
+      epic: updatedProject.epics.find((entry) => String(entry._id) === String(epic._id))
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Create epic error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/epics/{epicId}:
+ *   get:
+ *     summary: Fetch an epic with its cards grouped by board column
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: epicId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Epic fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/EpicOverview'
+ *       400:
+ *         description: Invalid epic id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or epic not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/epics/:epicId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, epicId } = req.params;
+
+    if (!isValidObjectId(epicId))
+      return sendResponse(res, 400, 'Invalid epic id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { epics: 1, columns: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const epic = (project.epics || []).find((entry) => String(entry._id) === String(epicId));
+    if (!epic)
+      return sendResponse(res, 404, 'Epic not found');
+
+    return sendResponse(res, 200, 'Epic fetched', buildEpicOverview(project, epic));
+  } catch (err) {
+    return handleRouteError(res, 'Get epic error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/epics/{epicId}:
+ *   patch:
+ *     summary: Update an epic
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: epicId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [to-do, in-progress, done]
+ *               targetDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Epic updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or epic not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/epics/:epicId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, epicId } = req.params;
+    const payload = req.body || {};
+
+    if (!isValidObjectId(epicId))
+      return sendResponse(res, 400, 'Invalid epic id');
+
+    const validationError = validateEpicPayload(payload);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const $set = {};
+    if (payload.name !== undefined)
+      $set['epics.$.name'] = payload.name.trim();
+    if (payload.description !== undefined)
+      $set['epics.$.description'] = payload.description || '';
+    if (payload.color !== undefined)
+      $set['epics.$.color'] = payload.color;
+    if (payload.status !== undefined)
+      $set['epics.$.status'] = payload.status;
+    if (payload.targetDate !== undefined)
+      $set['epics.$.targetDate'] = payload.targetDate ? new Date(payload.targetDate) : null;
+
+    if (!Object.keys($set).length)
+      return sendResponse(res, 400, 'Provide at least one field to update');
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), 'epics._id': epicId },
+      { $set },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or epic not found');
+
+    return sendResponse(res, 200, 'Epic updated', {
+      epic: updatedProject.epics.find((entry) => String(entry._id) === String(epicId))
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update epic error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/epics/{epicId}:
+ *   delete:
+ *     summary: Delete an epic and detach its cards
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: epicId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Epic deleted
+ *       400:
+ *         description: Invalid epic id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or epic not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/epics/:epicId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, epicId } = req.params;
+
+    if (!isValidObjectId(epicId))
+      return sendResponse(res, 400, 'Invalid epic id');
+
+    const epicObjectId = new mongoose.Types.ObjectId(epicId);
+    const project = await Project.findOne(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), 'epics._id': epicObjectId },
+      { columns: 1, backlog: 1, archivedCards: 1, trash: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project or epic not found');
+
+    const cardUpdate = rewriteProjectCards(project, req.user.userId, (card) => (
+      card.epic && String(card.epic) === epicId ? { epic: null } : null
+    ));
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), __v: project.__v },
+      { ...cardUpdate, $pull: { epics: { _id: epicObjectId } }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Epic deleted', { epicId });
+  } catch (err) {
+    return handleRouteError(res, 'Delete epic error', err);
+  }
+});
+
+module.exports = router;
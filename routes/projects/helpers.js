@@ -0,0 +1,1553 @@
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const User = require('../../Models/User');
+
+const DEFAULT_BOARD_COLUMNS = [
+  { name: 'To Do', category: 'to-do', defaultCard: true },
+  { name: 'In Progress', category: 'in-progress' },
+  { name: 'In Review', category: 'in-progress' },
+  { name: 'Done', category: 'done' }
+];
+
+const COLUMN_CATEGORIES = ['to-do', 'in-progress', 'done'];
+
+// Priorities are listed from most to least urgent.
+const DEFAULT_ISSUE_SCHEME = {
+  issueTypes: ['story', 'bug', 'task', 'epic'],
+  priorities: ['highest', 'high', 'medium', 'low', 'lowest'],
+  defaultIssueType: 'task',
+  defaultPriority: 'medium'
+};
+
+// Attachment storage keys are server-side file locations. They are dropped
+// here so no card payload (board, backlog, archive, trash, ...) can leak them.
+function omitStorageKeys(key, value) {
+  return key === 'storageKey' ? undefined : value;
+}
+
+function sendResponse(res, statusCode, message, extra = {}) {
+  const success = statusCode >= 200 && statusCode < 400;
+  return res
+    .status(statusCode)
+    .type('json')
+    .send(JSON.stringify({ success, message, ...extra }, omitStorageKeys));
+}
+
+function handleRouteError(res, label, err) {
+  console.error(`${label}:`, err);
+  return sendResponse(res, 500, 'Something went wrong. Please try again.');
+}
+
+function createDefaultCards(columnConfig = {}) {
+  if (!columnConfig.defaultCard)
+    return [];
+
+  const columnName = columnConfig.name || 'To Do';
+
+  return [
+    {
+      title: 'Task 1',
+      description: 'Scrum 1 default work item',
+      status: columnName,
+      issueType: DEFAULT_ISSUE_SCHEME.defaultIssueType,
+      priority: DEFAULT_ISSUE_SCHEME.defaultPriority,
+      assignee: null,
+      dueDate: new Date()
+    }
+  ];
+}
+
+function normalizeCard(card = {}, columnName = '') {
+  const now = new Date();
+
+  return {
+    ...card,
+    _id: card._id && isValidObjectId(card._id)
+      ? card._id
+      : new mongoose.Types.ObjectId(),
+    title: card.title || 'Scrum 1',
+    description: card.description || '',
+    status: card.status || columnName,
+    assignee: card.assignee || null,
+    dueDate: card.dueDate ? new Date(card.dueDate) : now,
+    createdBy: card.createdBy || null,
+    createdAt: card.createdAt ? new Date(card.createdAt) : now,
+    updatedAt: card.updatedAt ? new Date(card.updatedAt) : now
+  };
+}
+
+function normalizeColumns(columns = [], options = {}) {
+  const { enforceDefaultCard = true } = options;
+
+  if (!columns.length) {
+    return DEFAULT_BOARD_COLUMNS.map((column, index) => ({
+      name: column.name,
+      order: index + 1,
+      category: column.category,
+      cards: createDefaultCards(column)
+    }));
+  }
+
+  return columns.map((col, index) => {
+    const fallbackColumn = DEFAULT_BOARD_COLUMNS[index] || {};
+    const columnName = col.name || fallbackColumn.name || `Column ${index + 1}`;
+
+    const preparedCards = Array.isArray(col.cards)
+      ? col.cards.map((card) => normalizeCard(card, columnName))
+      : [];
+
+    const cards = preparedCards.length
+      ? preparedCards
+      : enforceDefaultCard
+        ? createDefaultCards({
+            ...fallbackColumn,
+            ...col,
+            name: columnName
+          })
+        : [];
+
+    return {
+      name: columnName,
+      order: typeof col.order === 'number' ? col.order : index + 1,
+      wipLimit: Number.isInteger(col.wipLimit) && col.wipLimit > 0 ? col.wipLimit : null,
+      category: COLUMN_CATEGORIES.includes(col.category) ? col.category : null,
+      cards
+    };
+  });
+}
+
+function normalizeExistingColumns(columns = [], options = {}) {
+  const { fallbackToDefault = false, ...rest } = options;
+
+  if (!Array.isArray(columns) || !columns.length) {
+    return fallbackToDefault
+      ? normalizeColumns([], rest)
+      : [];
+  }
+
+  return normalizeColumns(columns, rest);
+}
+
+function normalizeColumnName(name = '') {
+  return (name || '').trim();
+}
+
+function findColumnIndex(columns = [], searchName = '') {
+  const normalizedSearch = normalizeColumnName(searchName).toLowerCase();
+  if (!normalizedSearch)
+    return -1;
+
+  return columns.findIndex((column) =>
+    normalizeColumnName(column.name).toLowerCase() === normalizedSearch
+  );
+}
+
+function sortColumnsByOrder(columns = []) {
+  return [...columns].sort((a, b) => {
+    const orderA = typeof a.order === 'number' ? a.order : Number.MAX_SAFE_INTEGER;
+    const orderB = typeof b.order === 'number' ? b.order : Number.MAX_SAFE_INTEGER;
+
+    if (orderA === orderB)
+      return normalizeColumnName(a.name).localeCompare(normalizeColumnName(b.name));
+
+    return orderA - orderB;
+  });
+}
+
+function reindexColumns(columns = []) {
+  return columns.map((column, idx) => ({
+    ...column,
+    order: idx + 1
+  }));
+}
+
+function sanitizeColumns(columns = [], options = {}) {
+  const preparedColumns = normalizeExistingColumns(columns, options);
+  if (!preparedColumns.length)
+    return [];
+
+  return reindexColumns(sortColumnsByOrder(preparedColumns));
+}
+
+function buildProjectAccessQuery(projectId, userId) {
+  return {
+    _id: projectId,
+    $or: [
+      { owner: userId },
+      { 'members.user': userId }
+    ]
+  };
+}
+
+function isProjectMember(project, userId) {
+  if (!project || !userId)
+    return false;
+
+  const targetId = String(userId);
+  if (project.owner && String(project.owner) === targetId)
+    return true;
+
+  return Array.isArray(project.members) &&
+    project.members.some((member) => member.user && String(member.user) === targetId);
+}
+
+function isProjectOwner(project, userId) {
+  if (!project || !userId)
+    return false;
+
+  return project.owner && String(project.owner) === String(userId);
+}
+
+function normalizeEmail(email = '') {
+  if (typeof email !== 'string')
+    return '';
+
+  return email.trim().toLowerCase();
+}
+
+function isValidObjectId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+const CARD_EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'assignee',
+  'dueDate',
+  'labels',
+  'issueType',
+  'priority',
+  'epic',
+  'sprint',
+  'storyPoints',
+  'originalEstimate',
+  'remainingEstimate',
+  'customFieldValues'
+];
+
+function pickCardFields(payload = {}) {
+  return CARD_EDITABLE_FIELDS.reduce((fields, field) => {
+    if (payload[field] !== undefined)
+      fields[field] = payload[field];
+
+    return fields;
+  }, {});
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function validateCardFields(fields = {}) {
+  if (fields.title !== undefined && (typeof fields.title !== 'string' || !fields.title.trim()))
+    return 'Card title cannot be empty';
+
+  if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string')
+    return 'Card description must be a string';
+
+  if (fields.assignee !== undefined && fields.assignee !== null && !isValidObjectId(fields.assignee))
+    return 'Invalid assignee id';
+
+  if (fields.dueDate !== undefined && fields.dueDate !== null && Number.isNaN(new Date(fields.dueDate).getTime()))
+    return 'Invalid due date';
+
+  if (fields.labels !== undefined && fields.labels !== null && !Array.isArray(fields.labels))
+    return 'Labels must be an array';
+
+  if (fields.storyPoints !== undefined && fields.storyPoints !== null && !isNonNegativeNumber(fields.storyPoints))
+    return 'Story points must be a non-negative number';
+
+  const estimateField = ['originalEstimate', 'remainingEstimate'].find(
+    (field) => fields[field] !== undefined && fields[field] !== null && !isNonNegativeNumber(fields[field])
+  );
+  if (estimateField)
+    return `${estimateField} must be a non-negative number of minutes`;
+
+  return null;
+}
+
+function findCardLocation(columns = [], cardId) {
+  if (!cardId)
+    return null;
+
+  const targetId = String(cardId);
+
+  for (let columnIndex = 0; columnIndex < columns.length; columnIndex += 1) {
+    const cards = Array.isArray(columns[columnIndex].cards) ? columns[columnIndex].cards : [];
+    const cardIndex = cards.findIndex((card) => card._id && String(card._id) === targetId);
+
+    if (cardIndex > -1)
+      return { columnIndex, cardIndex, column: columns[columnIndex], card: cards[cardIndex] };
+  }
+
+  return null;
+}
+
+// Cards sent through the column routes keep their id (and any server-managed
+// data) when they match an existing card; anything else becomes a new card.
+function mergeIncomingCards(existingColumns = [], incomingCards = [], columnName, userId, newCardDefaults = {}) {
+  return incomingCards.map((incoming = {}) => {
+    const fields = pickCardFields(incoming || {});
+    const location = incoming && incoming._id
+      ? findCardLocation(existingColumns, incoming._id)
+      : null;
+
+    if (location) {
+      const reassigned = fields.assignee &&
+        String(fields.assignee) !== String(location.card.assignee || '');
+
+      return {
+        ...location.card,
+        ...fields,
+        status: columnName,
+        watchers: reassigned
+          ? addCardWatchers(location.card.watchers, fields.assignee)
+          : location.card.watchers || []
+      };
+    }
+
+    return {
+      ...newCardDefaults,
+      ...fields,
+      status: columnName,
+      createdBy: userId || null,
+      watchers: addCardWatchers([], userId, fields.assignee)
+    };
+  });
+}
+
+// Creators, assignees and commenters start watching a card when that happens;
+// after that the watcher list is only changed through the watch endpoints.
+function addCardWatchers(watchers = [], ...userIds) {
+  const ids = [...watchers, ...userIds].filter(Boolean).map(String);
+  return [...new Set(ids)].map((id) => new mongoose.Types.ObjectId(id));
+}
+
+function buildCardAccessQuery(projectId, userId, cardId) {
+  return {
+    ...buildProjectAccessQuery(projectId, userId),
+    'columns.cards._id': cardId
+  };
+}
+
+function cardFieldPath(field) {
+  return `columns.$[].cards.$[card].${field}`;
+}
+
+function buildBacklogCardAccessQuery(projectId, userId, cardId) {
+  return {
+    ...buildProjectAccessQuery(projectId, userId),
+    'backlog._id': cardId
+  };
+}
+
+function backlogFieldPath(field) {
+  return `backlog.$[card].${field}`;
+}
+
+function cardArrayFilters(cardId) {
+  return [{ 'card._id': new mongoose.Types.ObjectId(String(cardId)) }];
+}
+
+const TRACKED_CARD_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'assignee',
+  'dueDate',
+  'parentCard',
+  'labels',
+  'issueType',
+  'priority',
+  'epic',
+  'sprint',
+  'storyPoints',
+  'originalEstimate',
+  'remainingEstimate',
+  'customFieldValues',
+  'backlogAt',
+  'archivedAt',
+  'deletedAt'
+];
+
+function activityValueKey(value) {
+  if (value === undefined || value === null || value === '')
+    return '';
+
+  if (value instanceof Date)
+    return value.toISOString();
+
+  // Label snapshots also compare by name and color, so renames are logged.
+  if (Array.isArray(value))
+    return value
+      .map((entry) => (entry && entry._id
+        ? [entry._id, entry.name, entry.color].filter((part) => part !== undefined).join(':')
+        : activityValueKey(entry)))
+      .sort()
+      .join(',');
+
+  if (value.constructor === Object)
+    return Object.keys(value)
+      .sort()
+      .map((key) => `${key}=${activityValueKey(value[key])}`)
+      .join(';');
+
+  return String(value);
+}
+
+// A status entry with a null oldValue marks the moment the card was created.
+function buildCardActivity(before, after = {}, actorId, at = new Date()) {
+  if (!before) {
+    return [{
+      actor: actorId || null,
+      field: 'status',
+      oldValue: null,
+      newValue: after.status || null,
+      at
+    }];
+  }
+
+  return TRACKED_CARD_FIELDS
+    .filter((field) =>
+      after[field] !== undefined &&
+      activityValueKey(before[field]) !== activityValueKey(after[field])
+    )
+    .map((field) => ({
+      actor: actorId || null,
+      field,
+      oldValue: before[field] === undefined ? null : before[field],
+      newValue: after[field] === undefined ? null : after[field],
+      at
+    }));
+}
+
+function recordBoardActivity(previousColumns = [], nextColumns = [], actorId) {
+  const at = new Date();
+  const previousCards = new Map();
+
+  previousColumns.forEach((column) => {
+    (column.cards || []).forEach((card) => {
+      if (card._id)
+        previousCards.set(String(card._id), card);
+    });
+  });
+
+  nextColumns.forEach((column) => {
+    column.cards = (column.cards || []).map((card) => {
+      const entries = buildCardActivity(previousCards.get(String(card._id)), card, actorId, at);
+      if (!entries.length)
+        return card;
+
+      return {
+        ...card,
+        activity: [...(card.activity || []), ...entries],
+        updatedAt: at
+      };
+    });
+  });
+
+  return nextColumns;
+}
+
+// With no cards on the board or in the backlog there is nothing to go on, so
+// the current status is kept.
+function deriveProjectStatus(project = {}) {
+  const columns = project.columns || [];
+  const categories = resolveColumnCategories(columns);
+  const boardCategories = columns.flatMap((column) => (column.cards || []).map(() =>
+    categories.get(normalizeColumnName(column.name).toLowerCase())
+  ));
+  const backlogCount = (project.backlog || []).length;
+
+  if (!boardCategories.length && !backlogCount)
+    return project.status;
+
+  if (!backlogCount && boardCategories.every((category) => category === 'done'))
+    return 'completed';
+
+  return boardCategories.some((category) => category !== 'to-do') ? 'in-progress' : 'created';
+}
+
+// Writes the derived status unless the owner has set one by hand. Takes the
+// project as returned by a write, so it needs columns, backlog, status and
+// statusOverride.
+async function syncProjectStatus(project) {
+  if (!project || project.statusOverride)
+    return project;
+
+  const status = deriveProjectStatus(project);
+  if (status === project.status)
+    return project;
+
+  await Project.updateOne(
+    { _id: project._id, statusOverride: { $ne: true } },
+    { $set: { status } }
+  );
+  project.status = status;
+
+  return project;
+}
+
+// Whole-board writes are conditional on the version that was read, so two
+// clients editing the same board cannot silently overwrite each other. Every
+// card difference against that version is appended to the card's activity,
+// and cards the write dropped are moved to the project's trash unless they
+// are passed in as archived.
+// `fields` are extra top-level paths written in the same versioned update.
+// Cards listed in archivedCards or backlogCards leave the board without being trashed.
+// `renamedColumn` ({ from, to }) carries a column rename over to backlog,
+// archived and trashed cards; it needs the project read with those arrays.
+async function saveProjectColumns(project, userId, columns, { archivedCards = [], backlogCards = [], fields = {}, renamedColumn = null } = {}) {
+  const previousColumns = project.columns || [];
+  await refreshBoardMentions(project, previousColumns, columns);
+
+  const update = {
+    ...fields,
+    columns: recordBoardActivity(previousColumns, columns, userId),
+    $inc: { __v: 1 }
+  };
+
+  const keptIds = new Set([...archivedCards, ...backlogCards].map((card) => String(card._id)));
+  const trashed = buildTrashEntries(
+    findRemovedCards(previousColumns, columns).filter((card) => !keptIds.has(String(card._id))),
+    userId
+  );
+
+  // Renamed arrays are rewritten whole; the version filter keeps that safe.
+  const offBoard = [
+    ['trash', trashed, false],
+    ['archivedCards', archivedCards, false],
+    ['backlog', backlogCards, true]
+  ];
+  const $push = {};
+
+  offBoard.forEach(([path, added, prepend]) => {
+    const renamed = renameCardStatuses(project[path] || [], renamedColumn, userId);
+
+    if (renamed)
+      update[path] = prepend ? [...added, ...renamed] : [...renamed, ...added];
+    else if (added.length)
+      $push[path] = prepend ? { $each: added, $position: 0 } : { $each: added };
+  });
+
+  if (Object.keys($push).length)
+    update.$push = $push;
+
+  const updatedProject = await Project.findOneAndUpdate(
+    { ...buildProjectAccessQuery(project._id, userId), __v: project.__v },
+    update,
+    { new: true }
+  );
+
+  return syncProjectStatus(updatedProject);
+}
+
+// null when no card is in the renamed column.
+function renameCardStatuses(cards = [], renamedColumn, userId, at = new Date()) {
+  if (!renamedColumn)
+    return null;
+
+  const from = normalizeColumnName(renamedColumn.from).toLowerCase();
+  const inColumn = (card) => normalizeColumnName(card.status).toLowerCase() === from;
+
+  if (!cards.some(inColumn))
+    return null;
+
+  return cards.map((card) => {
+    if (!inColumn(card))
+      return card;
+
+    const changes = { status: renamedColumn.to };
+    return {
+      ...card,
+      ...changes,
+      activity: [...(card.activity || []), ...buildCardActivity(card, changes, userId, at)]
+    };
+  });
+}
+
+// Project-wide card changes (a label, epic, sprint or custom field going away)
+// apply `change` to every card on the board, in the backlog, archive and trash,
+// and log them like any other edit. `change` returns the card's new field values,
+// or null to leave it alone. The result holds the rewritten arrays only; it is
+// meant for an update filtered on the version the project was read at.
+function rewriteProjectCards(project = {}, userId, change, at = new Date()) {
+  const rewrite = (cards = []) => {
+    let changed = false;
+    const next = cards.map((card) => {
+      const changes = change(card);
+      if (!changes)
+        return card;
+
+      changed = true;
+      return {
+        ...card,
+        ...changes,
+        activity: [...(card.activity || []), ...buildCardActivity(card, changes, userId, at)]
+      };
+    });
+
+    return changed ? next : null;
+  };
+
+  const update = {};
+  const columns = (project.columns || []).map((column) => {
+    const cards = rewrite(column.cards);
+    return cards ? { ...column, cards } : column;
+  });
+
+  if (columns.some((column, index) => column !== project.columns[index]))
+    update.columns = columns;
+
+  ['backlog', 'archivedCards', 'trash'].forEach((path) => {
+    const cards = rewrite(project[path]);
+    if (cards)
+      update[path] = cards;
+  });
+
+  return update;
+}
+
+function buildTrashEntries(cards = [], userId, at = new Date()) {
+  return cards.map((card) => ({
+    ...card,
+    deletedAt: at,
+    deletedBy: userId || null,
+    activity: [...(card.activity || []), ...buildCardActivity(card, { deletedAt: at }, userId, at)]
+  }));
+}
+
+// The version filter keeps the copy being moved identical to the stored card.
+// Backlog cards pass `source: 'backlog'`; `position` inserts into the destination.
+async function takeCardOffBoard(project, userId, card, destination, { source = 'columns.$[].cards', position } = {}) {
+  const updatedProject = await Project.findOneAndUpdate(
+    { ...buildProjectAccessQuery(project._id, userId), __v: project.__v },
+    {
+      $pull: { [source]: { _id: card._id } },
+      $push: {
+        [destination]: position === undefined ? card : { $each: [card], $position: position }
+      },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+
+  return syncProjectStatus(updatedProject);
+}
+
+function findRemovedCards(previousColumns = [], nextColumns = []) {
+  const remainingIds = new Set(
+    nextColumns.flatMap((column) => (column.cards || []).map((card) => String(card._id)))
+  );
+
+  return previousColumns
+    .flatMap((column) => column.cards || [])
+    .filter((card) => card._id && !remainingIds.has(String(card._id)));
+}
+
+function sendBoardConflict(res) {
+  return sendResponse(res, 409, 'Board was changed by another request. Refresh and try again');
+}
+
+const ISSUE_KEY_PATTERN = /^([A-Z][A-Z0-9]{1,9})-(\d+)$/;
+
+function normalizeProjectKey(key = '') {
+  if (typeof key !== 'string')
+    return '';
+
+  return key.trim().toUpperCase();
+}
+
+function formatIssueKey(projectKey, number) {
+  return `${projectKey}-${number}`;
+}
+
+function buildProjectKeyBase(name = '') {
+  const words = String(name)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  const base = (words.length > 1
+    ? words.map((word) => word[0]).join('')
+    : (words[0] || '').slice(0, 3)
+  )
+    .replace(/^[0-9]+/, '')
+    .slice(0, 6);
+
+  return base.length >= 2 ? base : 'PRJ';
+}
+
+async function generateProjectKey(name) {
+  const base = buildProjectKeyBase(name);
+  const taken = await Project.find(
+    { key: new RegExp(`^${base}[0-9]*$`) },
+    { key: 1 }
+  ).lean();
+  const takenKeys = new Set(taken.map((project) => project.key));
+
+  if (!takenKeys.has(base))
+    return base;
+
+  let suffix = 2;
+  while (takenKeys.has(`${base}${suffix}`))
+    suffix += 1;
+
+  return `${base}${suffix}`;
+}
+
+const PROJECT_KEY_ATTEMPTS = 5;
+
+// Another project can claim the generated key between generating and saving
+// it; the unique index rejects that write and a fresh key is tried.
+async function ensureProjectKey(project) {
+  if (project.key)
+    return project.key;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const key = await generateProjectKey(project.name);
+
+    try {
+      const updated = await Project.findOneAndUpdate(
+        { _id: project._id, key: null },
+        { key },
+        { new: true, projection: { key: 1 } }
+      );
+
+      if (updated)
+        return updated.key;
+
+      const current = await Project.findById(project._id, { key: 1 }).lean();
+      return current ? current.key : key;
+    } catch (err) {
+      if (!err || err.code !== 11000 || attempt >= PROJECT_KEY_ATTEMPTS)
+        throw err;
+    }
+  }
+}
+
+// Card numbers come from an atomic $inc on the project, so concurrent card
+// creation can never hand out the same number twice.
+async function reserveCardNumbers(projectId, count = 1) {
+  const project = await Project.findOneAndUpdate(
+    { _id: projectId },
+    { $inc: { issueCounter: count } },
+    { new: true, projection: { key: 1, name: 1, issueCounter: 1 } }
+  ).lean();
+
+  if (!project)
+    return null;
+
+  const key = await ensureProjectKey(project);
+
+  return { key, first: project.issueCounter - count + 1 };
+}
+
+async function assignCardNumbers(projectId, columns = []) {
+  const unnumbered = columns
+    .flatMap((column) => column.cards || [])
+    .filter((card) => !card.number);
+
+  if (!unnumbered.length)
+    return;
+
+  const reservation = await reserveCardNumbers(projectId, unnumbered.length);
+  if (!reservation)
+    return;
+
+  unnumbered.forEach((card, idx) => {
+    card.number = reservation.first + idx;
+    card.key = formatIssueKey(reservation.key, card.number);
+  });
+}
+
+async function findProjectCard(projectId, userId, cardId) {
+  const project = await Project.findOne(
+    buildCardAccessQuery(projectId, userId, cardId),
+    { owner: 1, members: 1, columns: 1, labels: 1, issueScheme: 1, epics: 1, sprints: 1, customFields: 1, __v: 1 }
+  ).lean();
+
+  if (!project)
+    return null;
+
+  const location = findCardLocation(project.columns || [], cardId);
+  return location ? { project, ...location } : null;
+}
+
+function findBacklogEntry(project = {}, cardId) {
+  return (project.backlog || []).find((card) => String(card._id) === String(cardId)) || null;
+}
+
+// Same shape as findProjectCard for the fields backlog cards share with board cards.
+async function findBacklogCard(projectId, userId, cardId) {
+  const project = await Project.findOne(
+    buildBacklogCardAccessQuery(projectId, userId, cardId),
+    { owner: 1, members: 1, columns: 1, backlog: 1, labels: 1, issueScheme: 1, epics: 1, sprints: 1, customFields: 1, __v: 1 }
+  ).lean();
+
+  const card = project && findBacklogEntry(project, cardId);
+  return card ? { project, card, inBacklog: true } : null;
+}
+
+// Card sub-resources (comments, worklogs, attachments, ...) stay reachable
+// while a card is in the backlog. `fieldPath`, `queryPath` and `accessQuery`
+// address whichever array holds the card.
+async function findCardContext(projectId, userId, cardId) {
+  const context = await findProjectCard(projectId, userId, cardId)
+    || await findBacklogCard(projectId, userId, cardId);
+
+  if (!context)
+    return null;
+
+  const inBacklog = Boolean(context.inBacklog);
+
+  return {
+    ...context,
+    inBacklog,
+    fieldPath: inBacklog ? backlogFieldPath : cardFieldPath,
+    queryPath: (field) => (inBacklog ? `backlog.${field}` : `columns.cards.${field}`),
+    accessQuery: inBacklog
+      ? buildBacklogCardAccessQuery(projectId, userId, cardId)
+      : buildCardAccessQuery(projectId, userId, cardId)
+  };
+}
+
+// The card as stored in a project returned by a write through its context.
+function findContextCard(project = {}, context, cardId) {
+  if (context.inBacklog)
+    return findBacklogEntry(project, cardId);
+
+  const location = findCardLocation(project.columns || [], cardId);
+  return location ? location.card : null;
+}
+
+// Lower-cased column name -> category. Columns without a category fall back
+// to their position: the last one is done, the first to-do and the rest in
+// progress.
+function resolveColumnCategories(columns = []) {
+  const sorted = sortColumnsByOrder(columns);
+
+  return new Map(sorted.map((column, index) => {
+    let category = column.category;
+    if (!COLUMN_CATEGORIES.includes(category))
+      category = index === sorted.length - 1 ? 'done' : index === 0 ? 'to-do' : 'in-progress';
+
+    return [normalizeColumnName(column.name).toLowerCase(), category];
+  }));
+}
+
+function getDoneColumnNames(columns = []) {
+  const done = [...resolveColumnCategories(columns)]
+    .filter(([, category]) => category === 'done')
+    .map(([name]) => name);
+
+  return new Set(done);
+}
+
+function isDoneColumnName(columns = [], name = '') {
+  return getDoneColumnNames(columns).has(normalizeColumnName(name).toLowerCase());
+}
+
+function listSubtasks(columns = [], cardId) {
+  const subtasks = [];
+
+  sortColumnsByOrder(columns).forEach((column) => {
+    (column.cards || []).forEach((card) => {
+      if (card.parentCard && String(card.parentCard) === String(cardId))
+        subtasks.push({ card, column: column.name });
+    });
+  });
+
+  return subtasks;
+}
+
+// Completion counts subtasks in a done column and ticked checklist items alike.
+function buildCardProgress(columns = [], card = {}) {
+  const subtasks = listSubtasks(columns, card._id);
+  const checklist = card.checklist || [];
+
+  const doneSubtasks = subtasks.filter((entry) => isDoneColumnName(columns, entry.column)).length;
+  const doneItems = checklist.filter((item) => item.done).length;
+  const total = subtasks.length + checklist.length;
+
+  return {
+    subtasks: { done: doneSubtasks, total: subtasks.length },
+    checklist: { done: doneItems, total: checklist.length },
+    percentComplete: total ? Math.round(((doneSubtasks + doneItems) / total) * 100) : 0
+  };
+}
+
+// Keys stay resolvable while a card is in the backlog or archived; `column` is
+// only set for cards on the board.
+async function findCardByIssueKey(issueKey, userId) {
+  const project = await Project.findOne(
+    {
+      $and: [
+        {
+          $or: [
+            { 'columns.cards.key': issueKey },
+            { 'backlog.key': issueKey },
+            { 'archivedCards.key': issueKey }
+          ]
+        },
+        {
+          $or: [
+            { owner: userId },
+            { 'members.user': userId }
+          ]
+        }
+      ]
+    },
+    { key: 1, owner: 1, members: 1, columns: 1, backlog: 1, archivedCards: 1 }
+  ).lean();
+
+  if (!project)
+    return null;
+
+  const byKey = (entry) => entry.key === issueKey;
+  const column = (project.columns || []).find((col) => (col.cards || []).some(byKey));
+  if (column)
+    return { project, column, card: column.cards.find(byKey), location: 'board' };
+
+  const backlogCard = (project.backlog || []).find(byKey);
+  if (backlogCard)
+    return { project, column: null, card: backlogCard, location: 'backlog' };
+
+  return { project, column: null, card: (project.archivedCards || []).find(byKey), location: 'archive' };
+}
+
+function findNewlyDoneCards(previousColumns = [], nextColumns = []) {
+  const wasDone = new Set();
+
+  previousColumns.forEach((column) => {
+    if (!isDoneColumnName(previousColumns, column.name))
+      return;
+
+    (column.cards || []).forEach((card) => wasDone.add(String(card._id)));
+  });
+
+  return nextColumns
+    .filter((column) => isDoneColumnName(nextColumns, column.name))
+    .flatMap((column) => column.cards || [])
+    .filter((card) => !wasDone.has(String(card._id)));
+}
+
+async function findOpenBlockerWarnings(cards = [], userId) {
+  const entries = cards.flatMap((card) =>
+    (card.links || [])
+      .filter((link) => link.type === 'is-blocked-by')
+      .map((link) => ({ card, link }))
+  );
+
+  if (!entries.length)
+    return [];
+
+  const projectIds = [...new Set(entries.map((entry) => String(entry.link.project)))];
+  const projects = await Project.find(buildProjectAccessQuery({ $in: projectIds }, userId), { columns: 1 }).lean();
+  const projectById = new Map(projects.map((project) => [String(project._id), project]));
+  const warnings = new Map();
+
+  entries.forEach(({ card, link }) => {
+    const project = projectById.get(String(link.project));
+    const location = project ? findCardLocation(project.columns || [], link.card) : null;
+
+    if (!location || isDoneColumnName(project.columns || [], location.column.name))
+      return;
+
+    const cardKey = String(card._id);
+    if (!warnings.has(cardKey)) {
+      warnings.set(cardKey, {
+        cardId: card._id,
+        key: card.key,
+        message: `${card.key || card.title} was moved to done while blocked by open cards`,
+        blockers: []
+      });
+    }
+
+    warnings.get(cardKey).blockers.push({
+      projectId: project._id,
+      cardId: location.card._id,
+      key: location.card.key,
+      title: location.card.title,
+      column: location.column.name
+    });
+  });
+
+  return [...warnings.values()];
+}
+
+function escapeRegExp(value = '') {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const LABEL_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function findLabel(registry = [], ref) {
+  if (ref === undefined || ref === null)
+    return null;
+
+  const target = typeof ref === 'object' ? (ref._id || ref.name) : ref;
+  const targetName = String(target || '').trim().toLowerCase();
+
+  return registry.find((label) =>
+    String(label._id) === String(target) ||
+    normalizeColumnName(label.name).toLowerCase() === targetName
+  ) || null;
+}
+
+function resolveCardLabels(registry = [], requested = []) {
+  const labels = [];
+  const unknown = [];
+  const seen = new Set();
+
+  requested.forEach((entry) => {
+    const label = findLabel(registry, entry);
+
+    if (!label) {
+      unknown.push(formatInvalidEntry(entry));
+      return;
+    }
+
+    if (seen.has(String(label._id)))
+      return;
+
+    seen.add(String(label._id));
+    labels.push({ _id: label._id, name: label.name, color: label.color });
+  });
+
+  return { labels, unknown };
+}
+
+// Resolves project-scoped references (labels, ...) on cards sent through the
+// column routes before they are merged into the board.
+function resolveIncomingCards(project = {}, cards) {
+  if (!Array.isArray(cards))
+    return { cards };
+
+  let error = null;
+
+  const resolved = cards.map((card) => {
+    if (error || !card || typeof card !== 'object')
+      return card;
+
+    const prepared = { ...card };
+
+    if (prepared.labels !== undefined) {
+      if (prepared.labels !== null && !Array.isArray(prepared.labels)) {
+        error = 'Labels must be an array';
+        return card;
+      }
+
+      const { labels, unknown } = resolveCardLabels(project.labels || [], prepared.labels || []);
+      if (unknown.length) {
+        error = `Unknown labels: ${unknown.join(', ')}`;
+        return card;
+      }
+
+      prepared.labels = labels;
+    }
+
+    if (prepared.customFieldValues !== undefined) {
+      const custom = prepared.customFieldValues === null
+        ? { values: {} }
+        : resolveCustomFieldValues(project, prepared.customFieldValues);
+      if (custom.error) {
+        error = custom.error;
+        return card;
+      }
+
+      prepared.customFieldValues = custom.values;
+    }
+
+    if (typeof prepared.issueType === 'string')
+      prepared.issueType = prepared.issueType.trim().toLowerCase();
+    if (typeof prepared.priority === 'string')
+      prepared.priority = prepared.priority.trim().toLowerCase();
+    if (prepared.epic === '')
+      prepared.epic = null;
+    if (prepared.sprint === '')
+      prepared.sprint = null;
+
+    const { storyPoints, originalEstimate, remainingEstimate } = prepared;
+    const schemeError = validateCardFields({ storyPoints, originalEstimate, remainingEstimate })
+      || validateCardProjectFields(project, prepared);
+    if (schemeError) {
+      error = schemeError;
+      return card;
+    }
+
+    return prepared;
+  });
+
+  return error ? { error } : { cards: resolved };
+}
+
+function getIssueScheme(project = {}) {
+  const scheme = project.issueScheme || {};
+  const issueTypes = Array.isArray(scheme.issueTypes) && scheme.issueTypes.length
+    ? scheme.issueTypes
+    : DEFAULT_ISSUE_SCHEME.issueTypes;
+  const priorities = Array.isArray(scheme.priorities) && scheme.priorities.length
+    ? scheme.priorities
+    : DEFAULT_ISSUE_SCHEME.priorities;
+
+  return {
+    issueTypes,
+    priorities,
+    defaultIssueType: issueTypes.includes(scheme.defaultIssueType)
+      ? scheme.defaultIssueType
+      : (issueTypes.includes(DEFAULT_ISSUE_SCHEME.defaultIssueType)
+          ? DEFAULT_ISSUE_SCHEME.defaultIssueType
+          : issueTypes[0]),
+    defaultPriority: priorities.includes(scheme.defaultPriority)
+      ? scheme.defaultPriority
+      : (priorities.includes(DEFAULT_ISSUE_SCHEME.defaultPriority)
+          ? DEFAULT_ISSUE_SCHEME.defaultPriority
+          : priorities[Math.floor(priorities.length / 2)])
+  };
+}
+
+function buildNewCardDefaults(project = {}) {
+  const scheme = getIssueScheme(project);
+
+  return {
+    issueType: scheme.defaultIssueType,
+    priority: scheme.defaultPriority
+  };
+}
+
+function validateCardProjectFields(project = {}, fields = {}) {
+  const scheme = getIssueScheme(project);
+
+  if (fields.issueType !== undefined && !scheme.issueTypes.includes(fields.issueType))
+    return `Issue type must be one of: ${scheme.issueTypes.join(', ')}`;
+
+  if (fields.priority !== undefined && !scheme.priorities.includes(fields.priority))
+    return `Priority must be one of: ${scheme.priorities.join(', ')}`;
+
+  if (fields.epic !== undefined && fields.epic !== null) {
+    const epicExists = isValidObjectId(fields.epic) &&
+      (project.epics || []).some((epic) => String(epic._id) === String(fields.epic));
+
+    if (!epicExists)
+      return 'Epic not found in this project';
+  }
+
+  if (fields.sprint !== undefined && fields.sprint !== null && !findSprint(project, fields.sprint))
+    return 'Sprint not found in this project';
+
+  return null;
+}
+
+// Includes backlog, archived and trashed cards, which can still come back to the board.
+function collectProjectCards(project = {}) {
+  return [
+    ...(project.columns || []).flatMap((column) => column.cards || []),
+    ...(project.backlog || []),
+    ...(project.archivedCards || []),
+    ...(project.trash || [])
+  ];
+}
+
+// A date-only `to` covers the whole day.
+function parseDateRange({ from, to } = {}) {
+  const range = {};
+
+  if (from) {
+    range.from = new Date(from);
+    if (Number.isNaN(range.from.getTime()))
+      return { error: 'Invalid from date' };
+  }
+
+  if (to) {
+    range.to = new Date(to);
+    if (Number.isNaN(range.to.getTime()))
+      return { error: 'Invalid to date' };
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to)))
+      range.to.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (range.from && range.to && range.from > range.to)
+    return { error: 'from must be before to' };
+
+  return { range };
+}
+
+function isWithinRange(date, range = {}) {
+  const time = new Date(date).getTime();
+
+  if (range.from && time < range.from.getTime())
+    return false;
+
+  return !(range.to && time > range.to.getTime());
+}
+
+// `@alice@example.com` mentions by email; `@Alice` by full name (spaces
+// dropped), first name or the local part of the member's email.
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+|[\w.-]+)/g;
+
+function extractMentionHandles(text = '') {
+  if (typeof text !== 'string')
+    return [];
+
+  const handles = Array.from(text.matchAll(MENTION_PATTERN), (match) => match[2].replace(/\.+$/, ''));
+  return [...new Set(handles.filter(Boolean))];
+}
+
+async function loadMemberDirectory(project = {}) {
+  const memberIds = [project.owner, ...(project.members || []).map((member) => member.user)]
+    .filter(Boolean)
+    .map(String);
+
+  return User.find({ _id: { $in: [...new Set(memberIds)] } }, { email: 1, fullName: 1 }).lean();
+}
+
+function findMentionedMembers(handle, directory = []) {
+  if (handle.includes('@')) {
+    const email = normalizeEmail(handle);
+    return directory.filter((user) => normalizeEmail(user.email) === email);
+  }
+
+  const name = handle.toLowerCase();
+  return directory.filter((user) => {
+    const fullName = (user.fullName || '').trim().toLowerCase();
+
+    return fullName.replace(/\s+/g, '') === name
+      || fullName.split(/\s+/)[0] === name
+      || normalizeEmail(user.email).split('@')[0] === name;
+  });
+}
+
+// Handles that match no member (or more than one) are kept, flagged as unresolved.
+function resolveMentions(text, directory = [], { source = 'description', comment = null } = {}) {
+  return extractMentionHandles(text).map((handle) => {
+    const matches = findMentionedMembers(handle, directory);
+    const user = matches.length === 1 ? matches[0] : null;
+
+    return {
+      handle,
+      user: user ? user._id : null,
+      email: user ? user.email : null,
+      resolved: Boolean(user),
+      source,
+      comment
+    };
+  });
+}
+
+function replaceCardMentions(existing = [], next = [], { source = 'description', comments = [] } = {}) {
+  const replacedComments = new Set(comments.map(String));
+  const kept = existing.filter((mention) =>
+    source === 'description'
+      ? mention.source !== 'description'
+      : !(mention.source === 'comment' && replacedComments.has(String(mention.comment)))
+  );
+
+  return [...kept, ...next];
+}
+
+function listUnresolvedMentions(mentions = []) {
+  return mentions.filter((mention) => !mention.resolved).map((mention) => mention.handle);
+}
+
+// Board writes only re-parse descriptions that are new or changed.
+async function refreshBoardMentions(project = {}, previousColumns = [], nextColumns = []) {
+  const previousDescriptions = new Map();
+  previousColumns.forEach((column) => {
+    (column.cards || []).forEach((card) => {
+      previousDescriptions.set(String(card._id), card.description || '');
+    });
+  });
+
+  const changedCards = nextColumns
+    .flatMap((column) => column.cards || [])
+    .filter((card) => previousDescriptions.get(String(card._id)) !== (card.description || ''));
+
+  if (!changedCards.length)
+    return nextColumns;
+
+  const directory = await loadMemberDirectory(project);
+  changedCards.forEach((card) => {
+    card.mentions = replaceCardMentions(card.mentions || [], resolveMentions(card.description, directory));
+  });
+
+  return nextColumns;
+}
+
+function findCustomField(registry = [], ref) {
+  if (typeof ref !== 'string' || !ref.trim())
+    return null;
+
+  const name = normalizeColumnName(ref).toLowerCase();
+  return registry.find((field) =>
+    String(field._id) === ref || normalizeColumnName(field.name).toLowerCase() === name
+  ) || null;
+}
+
+function normalizeCustomFieldValue(project, field, value) {
+  switch (field.type) {
+    case 'text':
+      return typeof value === 'string' ? { value } : { error: 'must be text' };
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+        ? { value }
+        : { error: 'must be a number' };
+    case 'date': {
+      const date = new Date(value);
+      return typeof value === 'string' && !Number.isNaN(date.getTime())
+        ? { value: date }
+        : { error: 'must be a date' };
+    }
+    case 'single-select':
+      return (field.options || []).includes(value)
+        ? { value }
+        : { error: `must be one of: ${(field.options || []).join(', ')}` };
+    case 'multi-select':
+      return Array.isArray(value) && value.every((option) => (field.options || []).includes(option))
+        ? { value: [...new Set(value)] }
+        : { error: `must be a list of: ${(field.options || []).join(', ')}` };
+    case 'user':
+      return isValidObjectId(value) && isProjectMember(project, value)
+        ? { value: new mongoose.Types.ObjectId(value) }
+        : { error: 'must be a project member' };
+    default:
+      return { error: 'has an unknown type' };
+  }
+}
+
+// Values are keyed by field id (callers may also use the field name). With
+// `partial`, null marks a value to clear; otherwise nulls are simply dropped.
+function resolveCustomFieldValues(project = {}, values, { partial = false } = {}) {
+  if (!values || typeof values !== 'object' || Array.isArray(values))
+    return { error: 'customFieldValues must be an object keyed by field id' };
+
+  const resolved = {};
+
+  for (const [ref, value] of Object.entries(values)) {
+    const field = findCustomField(project.customFields || [], ref);
+    if (!field)
+      return { error: `Unknown custom field: ${ref}` };
+
+    if (value === null || value === undefined) {
+      if (partial)
+        resolved[String(field._id)] = null;
+      continue;
+    }
+
+    const normalized = normalizeCustomFieldValue(project, field, value);
+    if (normalized.error)
+      return { error: `Custom field "${field.name}" ${normalized.error}` };
+
+    resolved[String(field._id)] = normalized.value;
+  }
+
+  return { values: resolved };
+}
+
+function matchesCardSearch(card = {}, query) {
+  if (!query)
+    return true;
+
+  const pattern = new RegExp(escapeRegExp(query), 'i');
+  return [card.title, card.description, card.key].some((value) => value && pattern.test(value));
+}
+
+const SPRINT_MAX_DAYS = 366;
+
+function findSprint(project = {}, sprintId) {
+  if (!sprintId)
+    return null;
+
+  return (project.sprints || []).find((sprint) => String(sprint._id) === String(sprintId)) || null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function validateColumnCategory(category) {
+  if (category === undefined || category === null)
+    return null;
+
+  return COLUMN_CATEGORIES.includes(category)
+    ? null
+    : `category must be one of: ${COLUMN_CATEGORIES.join(', ')}`;
+}
+
+function validateWipLimit(wipLimit) {
+  if (wipLimit === undefined || wipLimit === null)
+    return null;
+
+  return Number.isInteger(wipLimit) && wipLimit > 0
+    ? null
+    : 'wipLimit must be a positive integer or null';
+}
+
+function describeColumnLoad(column = {}) {
+  const count = (column.cards || []).length;
+  const limit = column.wipLimit || null;
+
+  return {
+    count,
+    limit,
+    atLimit: Boolean(limit && count >= limit),
+    overLimit: Boolean(limit && count > limit)
+  };
+}
+
+// Only columns that gained cards count as violations, so a column that is
+// already over its limit can still be reordered or emptied.
+function findWipLimitViolations(previousColumns = [], nextColumns = []) {
+  return nextColumns.reduce((violations, column) => {
+    const { count, limit } = describeColumnLoad(column);
+    if (!limit || count <= limit)
+      return violations;
+
+    const previousIndex = findColumnIndex(previousColumns, column.name);
+    const previousIds = new Set(
+      previousIndex === -1
+        ? []
+        : (previousColumns[previousIndex].cards || []).map((card) => String(card._id))
+    );
+
+    if ((column.cards || []).some((card) => !previousIds.has(String(card._id))))
+      violations.push({ column: column.name, limit, count });
+
+    return violations;
+  }, []);
+}
+
+function findColumnWipViolation(column = {}, adding = 1) {
+  const { count, limit } = describeColumnLoad(column);
+
+  return limit && count + adding > limit
+    ? { column: column.name, limit, count: count + adding }
+    : null;
+}
+
+function sendWipLimitConflict(res, violations = []) {
+  const [first] = violations;
+
+  return sendResponse(
+    res,
+    409,
+    `WIP limit of ${first.limit} exceeded for column "${first.column}". Set overrideWipLimit to true to go over it`,
+    { wipLimitViolations: violations }
+  );
+}
+
+function formatInvalidEntry(entry) {
+  if (entry === undefined || entry === null)
+    return '[empty]';
+
+  if (typeof entry === 'string')
+    return entry || '[empty]';
+
+  if (typeof entry === 'number' || typeof entry === 'boolean')
+    return String(entry);
+
+  if (typeof entry === 'object') {
+    if (typeof entry.email === 'string')
+      return entry.email || '[empty]';
+
+    try {
+      const serialized = JSON.stringify(entry);
+      return serialized.length ? serialized : '[invalid]';
+    } catch (err) {
+      return '[invalid]';
+    }
+  }
+
+  return String(entry);
+}
+
+module.exports = {
+  DEFAULT_BOARD_COLUMNS,
+  DEFAULT_ISSUE_SCHEME,
+  sendResponse,
+  handleRouteError,
+  normalizeCard,
+  normalizeColumns,
+  normalizeExistingColumns,
+  normalizeColumnName,
+  findColumnIndex,
+  sortColumnsByOrder,
+  reindexColumns,
+  sanitizeColumns,
+  buildProjectAccessQuery,
+  isProjectMember,
+  isProjectOwner,
+  normalizeEmail,
+  isValidObjectId,
+  pickCardFields,
+  isNonNegativeNumber,
+  validateCardFields,
+  findCardLocation,
+  mergeIncomingCards,
+  addCardWatchers,
+  buildCardAccessQuery,
+  cardFieldPath,
+  buildBacklogCardAccessQuery,
+  backlogFieldPath,
+  cardArrayFilters,
+  buildCardActivity,
+  recordBoardActivity,
+  syncProjectStatus,
+  saveProjectColumns,
+  rewriteProjectCards,
+  buildTrashEntries,
+  takeCardOffBoard,
+  findRemovedCards,
+  sendBoardConflict,
+  ISSUE_KEY_PATTERN,
+  normalizeProjectKey,
+  formatIssueKey,
+  generateProjectKey,
+  PROJECT_KEY_ATTEMPTS,
+  reserveCardNumbers,
+  assignCardNumbers,
+  findProjectCard,
+  findBacklogEntry,
+  findBacklogCard,
+  findCardContext,
+  findContextCard,
+  resolveColumnCategories,
+  getDoneColumnNames,
+  isDoneColumnName,
+  listSubtasks,
+  buildCardProgress,
+  findCardByIssueKey,
+  findNewlyDoneCards,
+  findOpenBlockerWarnings,
+  escapeRegExp,
+  LABEL_COLOR_PATTERN,
+  findLabel,
+  resolveCardLabels,
+  resolveIncomingCards,
+  getIssueScheme,
+  buildNewCardDefaults,
+  validateCardProjectFields,
+  collectProjectCards,
+  parseDateRange,
+  isWithinRange,
+  loadMemberDirectory,
+  resolveMentions,
+  replaceCardMentions,
+  listUnresolvedMentions,
+  refreshBoardMentions,
+  findCustomField,
+  normalizeCustomFieldValue,
+  resolveCustomFieldValues,
+  matchesCardSearch,
+  SPRINT_MAX_DAYS,
+  findSprint,
+  DAY_MS,
+  validateColumnCategory,
+  validateWipLimit,
+  describeColumnLoad,
+  findWipLimitViolations,
+  findColumnWipViolation,
+  sendWipLimitConflict,
+  formatInvalidEntry
+};
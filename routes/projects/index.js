@@ -0,0 +1,564 @@
+const express = require('express');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  DEFAULT_BOARD_COLUMNS,
+  DEFAULT_ISSUE_SCHEME,
+  sendResponse,
+  handleRouteError,
+  normalizeColumns,
+  normalizeColumnName,
+  findColumnIndex,
+  buildProjectAccessQuery,
+  isProjectOwner,
+  mergeIncomingCards,
+  addCardWatchers,
+  buildCardActivity,
+  recordBoardActivity,
+  syncProjectStatus,
+  buildTrashEntries,
+  findRemovedCards,
+  sendBoardConflict,
+  normalizeProjectKey,
+  formatIssueKey,
+  generateProjectKey,
+  PROJECT_KEY_ATTEMPTS,
+  assignCardNumbers,
+  resolveIncomingCards,
+  buildNewCardDefaults,
+  refreshBoardMentions,
+  validateColumnCategory,
+  validateWipLimit,
+  findWipLimitViolations,
+  sendWipLimitConflict
+} = require('./helpers');
+const membersRoutes = require('./members');
+const cardsRoutes = require('./cards');
+const worklogsRoutes = require('./worklogs');
+const archiveRoutes = require('./archive');
+const attachmentsRoutes = require('./attachments');
+const backlogRoutes = require('./backlog');
+const checklistRoutes = require('./checklist');
+const columnsRoutes = require('./columns');
+const commentsRoutes = require('./comments');
+const customFieldsRoutes = require('./customFields');
+const epicsRoutes = require('./epics');
+const issueSchemeRoutes = require('./issueScheme');
+const labelsRoutes = require('./labels');
+const linksRoutes = require('./links');
+const reportsRoutes = require('./reports');
+const sprintsRoutes = require('./sprints');
+const watchersRoutes = require('./watchers');
+
+const router = express.Router();
+
+// Routers with fixed first segments (/invitations, /issues, /worklogs) go
+// first, so those paths are never taken for a project id.
+router.use(membersRoutes);
+router.use(cardsRoutes);
+router.use(worklogsRoutes);
+router.use(archiveRoutes);
+router.use(attachmentsRoutes);
+router.use(backlogRoutes);
+router.use(checklistRoutes);
+router.use(columnsRoutes);
+router.use(commentsRoutes);
+router.use(customFieldsRoutes);
+router.use(epicsRoutes);
+router.use(issueSchemeRoutes);
+router.use(labelsRoutes);
+router.use(linksRoutes);
+router.use(reportsRoutes);
+router.use(sprintsRoutes);
+router.use(watchersRoutes);
+
+const PROJECT_STATUSES = ['created', 'in-progress', 'completed'];
+
+// The only project fields PUT /projects/:projectId writes as given; columns
+// and statusOverride are handled separately. Everything else (the key, sprints,
+// currentSprint, backlog, members, update operators, ...) has its own endpoint
+// or is ignored; currentSprint follows the active sprint.
+const PROJECT_EDITABLE_FIELDS = ['name', 'description', 'boardType', 'status'];
+
+function pickProjectFields(payload = {}) {
+  return PROJECT_EDITABLE_FIELDS.reduce((fields, field) => {
+    if (payload[field] !== undefined)
+      fields[field] = payload[field];
+
+    return fields;
+  }, {});
+}
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Projects
+ *   description: Manage Jira-like spaces/projects
+ */
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a Jira space/project with default board columns
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               key:
+ *                 type: string
+ *                 example: WEB
+ *                 description: Unique short key used for issue keys (generated from name when omitted)
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [created, in-progress, completed]
+ *                 description: Sets the status by hand; leave it out to follow the board
+ *               boardType:
+ *                 type: string
+ *                 enum: [scrum, kanban]
+ *               currentSprint:
+ *                 type: string
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BoardColumn'
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     project:
+ *                       $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Project key already in use
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { name, key, description, status, boardType, currentSprint, columns } = req.body;
+
+    if (!name)
+      return sendResponse(res, 400, 'Project name is required');
+
+    if (columns !== undefined && columns !== null && !Array.isArray(columns))
+      return sendResponse(res, 400, 'Columns must be an array');
+
+    const wipLimitError = (columns || []).map((col) => validateWipLimit((col || {}).wipLimit)).find(Boolean);
+    if (wipLimitError)
+      return sendResponse(res, 400, wipLimitError);
+
+    const categoryError = (columns || []).map((col) => validateColumnCategory((col || {}).category)).find(Boolean);
+    if (categoryError)
+      return sendResponse(res, 400, categoryError);
+
+    // Cards are built from their editable fields only, as on PUT; comments,
+    // attachments, links and the like always start empty.
+    const newProject = { issueScheme: DEFAULT_ISSUE_SCHEME };
+    let cardError = null;
+
+    const requestedColumns = (columns || []).map((col, index) => {
+      if (!col || !Array.isArray(col.cards))
+        return col;
+
+      const incoming = resolveIncomingCards(newProject, col.cards);
+      if (incoming.error) {
+        cardError = cardError || incoming.error;
+        return col;
+      }
+
+      const columnName = col.name || (DEFAULT_BOARD_COLUMNS[index] || {}).name || `Column ${index + 1}`;
+
+      return {
+        ...col,
+        cards: mergeIncomingCards([], incoming.cards, columnName, req.user.userId, buildNewCardDefaults(newProject))
+      };
+    });
+
+    if (cardError)
+      return sendResponse(res, 400, cardError);
+
+    const requestedKey = normalizeProjectKey(key);
+
+    if (requestedKey) {
+      if (!PROJECT_KEY_PATTERN.test(requestedKey))
+        return sendResponse(
+          res,
+          400,
+          'Project key must be 2-10 letters or digits and start with a letter'
+        );
+
+      if (await Project.exists({ key: requestedKey }))
+        return sendResponse(res, 409, 'Project key is already in use');
+    }
+
+    const createProject = (projectKey) => {
+      const boardColumns = normalizeColumns(requestedColumns, { enforceDefaultCard: true });
+      let issueCounter = 0;
+
+      boardColumns.forEach((column) => {
+        column.cards = column.cards.map((card) => {
+          issueCounter += 1;
+          return {
+            ...card,
+            number: issueCounter,
+            key: formatIssueKey(projectKey, issueCounter),
+            createdBy: card.createdBy || req.user.userId,
+            watchers: addCardWatchers(card.watchers, card.createdBy || req.user.userId, card.assignee),
+            activity: buildCardActivity(null, card, req.user.userId)
+          };
+        });
+      });
+
+      return Project.create({
+        owner: req.user.userId,
+        members: [{
+          user: req.user.userId,
+          role: 'owner',
+          addedBy: req.user.userId,
+          joinedAt: new Date()
+        }],
+        name,
+        key: projectKey,
+        issueCounter,
+        issueScheme: DEFAULT_ISSUE_SCHEME,
+        description,
+        status,
+        statusOverride: status !== undefined && status !== null,
+        boardType,
+        currentSprint,
+        columns: boardColumns
+      });
+    };
+
+    // A requested key taken in the meantime is the caller's conflict; a
+    // generated one claimed by a concurrent create is simply generated again.
+    let project = null;
+    for (let attempt = 1; !project; attempt += 1) {
+      try {
+        project = await createProject(requestedKey || await generateProjectKey(name));
+      } catch (err) {
+        if (!err || err.code !== 11000)
+          throw err;
+
+        if (requestedKey)
+          return sendResponse(res, 409, 'Project key is already in use');
+
+        if (attempt >= PROJECT_KEY_ATTEMPTS)
+          throw err;
+      }
+    }
+
+    await syncProjectStatus(project);
+
+    return sendResponse(res, 201, 'Project created successfully', { project });
+
+  } catch (err) {
+    return handleRouteError(res, 'Create project error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     summary: List spaces/projects for the authenticated user
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     projects:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const projects = await Project.find({
+      $or: [
+        { owner: req.user.userId },
+        { 'members.user': req.user.userId }
+      ]
+    }).sort({ createdAt: -1 });
+
+    return sendResponse(res, 200, 'Projects fetched', { projects });
+  } catch (err) {
+    return handleRouteError(res, 'List projects error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}:
+ *   get:
+ *     summary: Fetch a single project/space by id
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Project found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     project:
+ *                       $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId)
+    );
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    return sendResponse(res, 200, 'Project fetched', { project });
+  } catch (err) {
+    return handleRouteError(res, 'Get project error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}:
+ *   put:
+ *     summary: Update project metadata or board columns
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideWipLimit:
+ *                 type: boolean
+ *                 description: Go over the target column's WIP limit
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [created, in-progress, completed]
+ *                 description: Sets the status by hand (owner only); leave it out to follow the board
+ *               boardType:
+ *                 type: string
+ *                 enum: [scrum, kanban]
+ *               statusOverride:
+ *                 type: boolean
+ *                 description: false goes back to the status derived from the board (owner only)
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BoardColumn'
+ *     responses:
+ *       200:
+ *         description: Project updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     project:
+ *                       $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the project owner can set the project status
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: WIP limit exceeded, or board changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.put('/:projectId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { columns, overrideWipLimit, statusOverride } = req.body || {};
+
+    const rest = pickProjectFields(req.body || {});
+    const updates = { ...rest };
+    const filter = buildProjectAccessQuery(projectId, req.user.userId);
+
+    if (statusOverride !== undefined && typeof statusOverride !== 'boolean')
+      return sendResponse(res, 400, 'statusOverride must be a boolean');
+
+    if (rest.status !== undefined) {
+      if (!PROJECT_STATUSES.includes(rest.status))
+        return sendResponse(res, 400, `status must be one of: ${PROJECT_STATUSES.join(', ')}`);
+
+      if (statusOverride === false)
+        return sendResponse(res, 400, 'A manual status cannot be combined with statusOverride: false');
+    }
+
+    // Setting a status by hand pins it until statusOverride is turned off again.
+    if (rest.status !== undefined || statusOverride !== undefined) {
+      const current = await Project.findOne(filter, { owner: 1 }).lean();
+      if (!current)
+        return sendResponse(res, 404, 'Project not found');
+
+      if (!isProjectOwner(current, req.user.userId))
+        return sendResponse(res, 403, 'Only the project owner can set the project status');
+
+      updates.statusOverride = rest.status !== undefined || statusOverride;
+    }
+
+    if (columns) {
+      const existing = await Project.findOne(filter).lean();
+      if (!existing)
+        return sendResponse(res, 404, 'Project not found');
+
+      const existingColumns = existing.columns || [];
+      let cardError = null;
+
+      const wipLimitError = columns.map((col) => validateWipLimit(col.wipLimit)).find(Boolean);
+      if (wipLimitError)
+        return sendResponse(res, 400, wipLimitError);
+
+      const categoryError = columns.map((col) => validateColumnCategory(col.category)).find(Boolean);
+      if (categoryError)
+        return sendResponse(res, 400, categoryError);
+
+      updates.columns = normalizeColumns(
+        columns.map((requested, index) => {
+          const columnName = normalizeColumnName(requested.name) || `Column ${index + 1}`;
+          const existingIndex = findColumnIndex(existingColumns, columnName);
+
+          // Clients that don't know about WIP limits or categories keep the existing ones.
+          const previous = existingIndex === -1 ? {} : existingColumns[existingIndex];
+          const col = {
+            ...requested,
+            wipLimit: requested.wipLimit !== undefined ? requested.wipLimit : previous.wipLimit,
+            category: requested.category !== undefined ? requested.category : previous.category
+          };
+
+          if (!Array.isArray(col.cards))
+            return col;
+
+          const incoming = resolveIncomingCards(existing, col.cards);
+          if (incoming.error) {
+            cardError = cardError || incoming.error;
+            return col;
+          }
+
+          return {
+            ...col,
+            cards: mergeIncomingCards(
+              existingColumns,
+              incoming.cards,
+              columnName,
+              req.user.userId,
+              buildNewCardDefaults(existing)
+            )
+          };
+        }),
+        { enforceDefaultCard: false }
+      );
+
+      if (cardError)
+        return sendResponse(res, 400, cardError);
+
+      const wipViolations = findWipLimitViolations(existingColumns, updates.columns);
+      if (wipViolations.length && overrideWipLimit !== true)
+        return sendWipLimitConflict(res, wipViolations);
+
+      await assignCardNumbers(existing._id, updates.columns);
+      await refreshBoardMentions(existing, existingColumns, updates.columns);
+      recordBoardActivity(existingColumns, updates.columns, req.user.userId);
+      updates.$inc = { __v: 1 };
+
+      const trashed = buildTrashEntries(findRemovedCards(existingColumns, updates.columns), req.user.userId);
+      if (trashed.length)
+        updates.$push = { trash: { $each: trashed } };
+      filter.__v = existing.__v;
+    }
+
+    const project = await Project.findOneAndUpdate(filter, updates, { new: true });
+
+    if (!project)
+      return columns
+        ? sendBoardConflict(res)
+        : sendResponse(res, 404, 'Project not found');
+
+    await syncProjectStatus(project);
+
+    return sendResponse(res, 200, 'Project updated', { project });
+
+  } catch (err) {
+    return handleRouteError(res, 'Update project error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  buildProjectAccessQuery,
+  isProjectOwner,
+  getIssueScheme,
+  collectProjectCards
+} = require('./helpers');
+
+const router = express.Router();
+
+function normalizeSchemeValues(values) {
+  if (!Array.isArray(values))
+    return null;
+
+  return [
+    ...new Set(
+      values
+        .filter((value) => typeof value === 'string')
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  ];
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/issue-scheme:
+ *   get:
+ *     summary: Fetch the project's issue types and priorities
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Issue scheme fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     issueScheme:
+ *                       $ref: '#/components/schemas/IssueScheme'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/issue-scheme', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { issueScheme: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    return sendResponse(res, 200, 'Issue scheme fetched', { issueScheme: getIssueScheme(project) });
+  } catch (err) {
+    return handleRouteError(res, 'Get issue scheme error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/issue-scheme:
+ *   put:
+ *     summary: Update the project's issue types, priorities and defaults (owner only)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IssueScheme'
+ *     responses:
+ *       200:
+ *         description: Issue scheme updated
+ *       400:
+ *         description: Validation error or values still used by cards
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:projectId/issue-scheme', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { issueTypes, priorities, defaultIssueType, defaultPriority } = req.body || {};
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, issueScheme: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can change the issue scheme');
+
+    const current = getIssueScheme(project);
+    const nextTypes = issueTypes === undefined ? current.issueTypes : normalizeSchemeValues(issueTypes);
+    const nextPriorities = priorities === undefined ? current.priorities : normalizeSchemeValues(priorities);
+
+    if (!nextTypes || !nextTypes.length)
+      return sendResponse(res, 400, 'issueTypes must be a non-empty array of strings');
+
+    if (!nextPriorities || !nextPriorities.length)
+      return sendResponse(res, 400, 'priorities must be a non-empty array of strings');
+
+    const cards = collectProjectCards(project);
+    const typesInUse = [...new Set(
+      cards.map((card) => card.issueType).filter((type) => type && !nextTypes.includes(type))
+    )];
+    const prioritiesInUse = [...new Set(
+      cards.map((card) => card.priority).filter((priority) => priority && !nextPriorities.includes(priority))
+    )];
+
+    if (typesInUse.length || prioritiesInUse.length)
+      return sendResponse(res, 400, 'Some removed values are still used by cards', {
+        issueTypesInUse: typesInUse,
+        prioritiesInUse
+      });
+
+    const nextScheme = getIssueScheme({
+      issueScheme: {
+        issueTypes: nextTypes,
+        priorities: nextPriorities,
+        defaultIssueType: typeof defaultIssueType === 'string'
+          ? defaultIssueType.trim().toLowerCase()
+          : current.defaultIssueType,
+        defaultPriority: typeof defaultPriority === 'string'
+          ? defaultPriority.trim().toLowerCase()
+          : current.defaultPriority
+      }
+    });
+
+    if (typeof defaultIssueType === 'string' && nextScheme.defaultIssueType !== defaultIssueType.trim().toLowerCase())
+      return sendResponse(res, 400, 'defaultIssueType must be one of the issue types');
+
+    if (typeof defaultPriority === 'string' && nextScheme.defaultPriority !== defaultPriority.trim().toLowerCase())
+      return sendResponse(res, 400, 'defaultPriority must be one of the priorities');
+
+    await Project.updateOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { issueScheme: nextScheme }
+    );
+
+    return sendResponse(res, 200, 'Issue scheme updated', { issueScheme: nextScheme });
+  } catch (err) {
+    return handleRouteError(res, 'Update issue scheme error', err);
+  }
+});
+
+module.exports = router;
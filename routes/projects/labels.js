@@ -0,0 +1,354 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  normalizeColumnName,
+  buildProjectAccessQuery,
+  isValidObjectId,
+  rewriteProjectCards,
+  sendBoardConflict,
+  escapeRegExp,
+  LABEL_COLOR_PATTERN
+} = require('./helpers');
+
+const router = express.Router();
+
+function validateLabelPayload(registry = [], { name, color } = {}, ignoreLabelId = null) {
+  if (name !== undefined) {
+    const normalizedName = normalizeColumnName(typeof name === 'string' ? name : '');
+    if (!normalizedName)
+      return 'Label name is required';
+
+    if (normalizedName.length > 50)
+      return 'Label name cannot exceed 50 characters';
+
+    const duplicate = registry.some((label) =>
+      String(label._id) !== String(ignoreLabelId) &&
+      normalizeColumnName(label.name).toLowerCase() === normalizedName.toLowerCase()
+    );
+    if (duplicate)
+      return 'A label with this name already exists';
+  }
+
+  if (color !== undefined && (typeof color !== 'string' || !LABEL_COLOR_PATTERN.test(color)))
+    return 'Label color must be a hex value like #36B37E';
+
+  return null;
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels:
+ *   get:
+ *     summary: List the project's label registry
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Labels fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     labels:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Label'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/labels', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { labels: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    return sendResponse(res, 200, 'Labels fetched', { labels: project.labels || [] });
+  } catch (err) {
+    return handleRouteError(res, 'List labels error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels:
+ *   post:
+ *     summary: Add a label to the project's registry
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: frontend
+ *               color:
+ *                 type: string
+ *                 example: '#36B37E'
+ *     responses:
+ *       201:
+ *         description: Label created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/labels', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { name, color } = req.body || {};
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { labels: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const validationError = validateLabelPayload(project.labels || [], { name: name || '', color });
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const label = {
+      _id: new mongoose.Types.ObjectId(),
+      name: normalizeColumnName(name),
+      color: color || '#6B778C'
+    };
+
+    // The name filter guards against a concurrent request adding the same label.
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...buildProjectAccessQuery(projectId, req.user.userId),
+        'labels.name': { $not: new RegExp(`^${escapeRegExp(label.name)}$`, 'i') }
+      },
+      { $push: { labels: label } },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 400, 'A label with this name already exists');
+
+    return sendResponse(res, 201, 'Label created', { label, labels: updatedProject.labels });
+  } catch (err) {
+    return handleRouteError(res, 'Create label error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels/{labelId}:
+ *   patch:
+ *     summary: Rename or recolour a label on the registry and on every card using it
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: labelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Label updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or label not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/labels/:labelId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, labelId } = req.params;
+    const { name, color } = req.body || {};
+
+    if (!isValidObjectId(labelId))
+      return sendResponse(res, 400, 'Invalid label id');
+
+    if (name === undefined && color === undefined)
+      return sendResponse(res, 400, 'Provide name or color to update');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { labels: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const registry = project.labels || [];
+    if (!registry.some((label) => String(label._id) === String(labelId)))
+      return sendResponse(res, 404, 'Label not found');
+
+    const validationError = validateLabelPayload(registry, { name, color }, labelId);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const values = {};
+    if (name !== undefined)
+      values.name = normalizeColumnName(name);
+    if (color !== undefined)
+      values.color = color;
+
+    const isLabel = (cardLabel) => String(cardLabel._id) === labelId;
+    const $set = rewriteProjectCards(project, req.user.userId, (card) => (
+      (card.labels || []).some(isLabel)
+        ? { labels: card.labels.map((cardLabel) => (isLabel(cardLabel) ? { ...cardLabel, ...values } : cardLabel)) }
+        : null
+    ));
+
+    Object.entries(values).forEach(([field, value]) => {
+      $set[`labels.$[label].${field}`] = value;
+    });
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), __v: project.__v },
+      { $set, $inc: { __v: 1 } },
+      { new: true, arrayFilters: [{ 'label._id': new mongoose.Types.ObjectId(labelId) }] }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const label = updatedProject.labels.find((entry) => String(entry._id) === String(labelId));
+
+    return sendResponse(res, 200, 'Label updated', { label });
+  } catch (err) {
+    return handleRouteError(res, 'Update label error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels/{labelId}:
+ *   delete:
+ *     summary: Delete a label and remove it from every card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: labelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Label deleted
+ *       400:
+ *         description: Invalid label id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or label not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/labels/:labelId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, labelId } = req.params;
+
+    if (!isValidObjectId(labelId))
+      return sendResponse(res, 400, 'Invalid label id');
+
+    const labelObjectId = new mongoose.Types.ObjectId(labelId);
+    const project = await Project.findOne(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), 'labels._id': labelObjectId },
+      { columns: 1, backlog: 1, archivedCards: 1, trash: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project or label not found');
+
+    const isLabel = (cardLabel) => String(cardLabel._id) === labelId;
+    const cardUpdate = rewriteProjectCards(project, req.user.userId, (card) => (
+      (card.labels || []).some(isLabel)
+        ? { labels: card.labels.filter((cardLabel) => !isLabel(cardLabel)) }
+        : null
+    ));
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), __v: project.__v },
+      { ...cardUpdate, $pull: { labels: { _id: labelObjectId } }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Label deleted', { labelId, labels: updatedProject.labels });
+  } catch (err) {
+    return handleRouteError(res, 'Delete label error', err);
+  }
+});
+
+module.exports = router;
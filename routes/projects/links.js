@@ -0,0 +1,388 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { everyCardPath } = require('../../cardTrash');
+const {
+  sendResponse,
+  handleRouteError,
+  buildProjectAccessQuery,
+  isValidObjectId,
+  findCardLocation,
+  cardArrayFilters,
+  ISSUE_KEY_PATTERN,
+  normalizeProjectKey,
+  findBacklogEntry,
+  findCardContext,
+  isDoneColumnName,
+  findCardByIssueKey
+} = require('./helpers');
+
+const router = express.Router();
+
+const INVERSE_LINK_TYPES = {
+  blocks: 'is-blocked-by',
+  'is-blocked-by': 'blocks',
+  'relates-to': 'relates-to',
+  duplicates: 'is-duplicated-by',
+  'is-duplicated-by': 'duplicates'
+};
+
+// Walks existing "blocks" links from the card that would become blocked; if
+// that walk reaches the would-be blocker, the new link closes a loop.
+async function createsBlockingCycle(blocker, blocked) {
+  const projects = new Map();
+  const loadCard = async (projectId, cardId) => {
+    const projectKey = String(projectId);
+    if (!projects.has(projectKey))
+      projects.set(projectKey, await Project.findById(projectId, { columns: 1, backlog: 1 }).lean());
+
+    const project = projects.get(projectKey);
+    if (!project)
+      return null;
+
+    const location = findCardLocation(project.columns || [], cardId);
+    return location ? location.card : findBacklogEntry(project, cardId);
+  };
+
+  const queue = [blocked];
+  const visited = new Set();
+
+  while (queue.length) {
+    const current = queue.shift();
+    const currentId = String(current.card);
+
+    if (currentId === String(blocker.card))
+      return true;
+
+    if (visited.has(currentId))
+      continue;
+    visited.add(currentId);
+
+    const card = await loadCard(current.project, current.card);
+    if (!card)
+      continue;
+
+    (card.links || [])
+      .filter((link) => link.type === 'blocks')
+      .forEach((link) => queue.push({ project: link.project, card: link.card }));
+  }
+
+  return false;
+}
+
+// Linked cards in projects the caller is not a member of are reported with a
+// null target, like cards that no longer exist. Backlog targets have no column.
+async function describeCardLinks(links = [], userId) {
+  const projectIds = [...new Set(links.map((link) => String(link.project)))];
+  const projects = projectIds.length
+    ? await Project.find(
+        buildProjectAccessQuery({ $in: projectIds }, userId),
+        { key: 1, name: 1, columns: 1, backlog: 1 }
+      ).lean()
+    : [];
+  const projectById = new Map(projects.map((project) => [String(project._id), project]));
+
+  return links.map((link) => {
+    const project = projectById.get(String(link.project));
+    const backlogCard = project ? findBacklogEntry(project, link.card) : null;
+    const location = project
+      ? findCardLocation(project.columns || [], link.card) || (backlogCard && { card: backlogCard, column: null })
+      : null;
+
+    return {
+      _id: link._id,
+      type: link.type,
+      createdBy: link.createdBy,
+      createdAt: link.createdAt,
+      target: location
+        ? {
+            projectId: project._id,
+            projectName: project.name,
+            cardId: location.card._id,
+            key: location.card.key,
+            title: location.card.title,
+            column: location.column ? location.column.name : null,
+            done: Boolean(location.column) && isDoneColumnName(project.columns || [], location.column.name)
+          }
+        : null
+    };
+  });
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/links:
+ *   get:
+ *     summary: List a card's issue links
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Links fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     links:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CardLinkSummary'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/links', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    return sendResponse(res, 200, 'Links fetched', {
+      links: await describeCardLinks(context.card.links || [], req.user.userId)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'List card links error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/links:
+ *   post:
+ *     summary: Link a card to another card, optionally in another project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [blocks, is-blocked-by, relates-to, duplicates, is-duplicated-by]
+ *               targetKey:
+ *                 type: string
+ *                 example: WEB-42
+ *                 description: Issue key of the target card
+ *               targetProjectId:
+ *                 type: string
+ *                 description: Target project (defaults to this project when targetCardId is used)
+ *               targetCardId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Link created on both cards
+ *       400:
+ *         description: Validation error or circular blocking chain
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       409:
+ *         description: Link already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/links', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const { type, targetKey, targetProjectId, targetCardId } = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    if (!INVERSE_LINK_TYPES[type])
+      return sendResponse(res, 400, `Link type must be one of: ${Object.keys(INVERSE_LINK_TYPES).join(', ')}`);
+
+    const source = await findCardContext(projectId, req.user.userId, cardId);
+    if (!source)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    let target = null;
+
+    if (targetKey) {
+      const issueKey = normalizeProjectKey(targetKey);
+      if (!ISSUE_KEY_PATTERN.test(issueKey))
+        return sendResponse(res, 400, 'Invalid target issue key');
+
+      target = await findCardByIssueKey(issueKey, req.user.userId);
+    } else {
+      if (!isValidObjectId(targetCardId))
+        return sendResponse(res, 400, 'Provide targetKey or a valid targetCardId');
+
+      const targetProject = targetProjectId || projectId;
+      if (!isValidObjectId(targetProject))
+        return sendResponse(res, 400, 'Invalid target project id');
+
+      target = await findCardContext(targetProject, req.user.userId, targetCardId);
+    }
+
+    if (!target)
+      return sendResponse(res, 404, 'Target card not found in a project you belong to');
+
+    const sourceRef = { project: source.project._id, card: source.card._id };
+    const targetRef = { project: target.project._id, card: target.card._id };
+
+    if (String(sourceRef.card) === String(targetRef.card))
+      return sendResponse(res, 400, 'A card cannot be linked to itself');
+
+    const duplicate = (source.card.links || []).some((link) =>
+      link.type === type && String(link.card) === String(targetRef.card)
+    );
+    if (duplicate)
+      return sendResponse(res, 409, 'These cards are already linked this way');
+
+    if (type === 'blocks' || type === 'is-blocked-by') {
+      const [blocker, blocked] = type === 'blocks'
+        ? [sourceRef, targetRef]
+        : [targetRef, sourceRef];
+
+      if (await createsBlockingCycle(blocker, blocked))
+        return sendResponse(res, 400, 'This link would create a circular blocking chain');
+    }
+
+    const linkId = new mongoose.Types.ObjectId();
+    const now = new Date();
+    const buildLink = (linkType, ref) => ({
+      _id: linkId,
+      type: linkType,
+      project: ref.project,
+      card: ref.card,
+      createdBy: req.user.userId,
+      createdAt: now
+    });
+
+    // Either card may be off the board (backlog, archive or trash).
+    const pushLink = (ref, link) => Project.updateOne(
+      { _id: ref.project },
+      {
+        $push: everyCardPath('$[card].links', link),
+        $inc: { __v: 1 }
+      },
+      { arrayFilters: cardArrayFilters(ref.card) }
+    );
+
+    await pushLink(sourceRef, buildLink(type, targetRef));
+    await pushLink(targetRef, buildLink(INVERSE_LINK_TYPES[type], sourceRef));
+
+    const [link] = await describeCardLinks([buildLink(type, targetRef)], req.user.userId);
+
+    return sendResponse(res, 201, 'Cards linked', { link });
+  } catch (err) {
+    return handleRouteError(res, 'Create card link error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/links/{linkId}:
+ *   delete:
+ *     summary: Remove a link from both linked cards
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: linkId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Link removed
+ *       400:
+ *         description: Invalid id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project, card or link not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/cards/:cardId/links/:linkId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, linkId } = req.params;
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(linkId))
+      return sendResponse(res, 400, 'Invalid card or link id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const link = (context.card.links || []).find((entry) => String(entry._id) === String(linkId));
+    if (!link)
+      return sendResponse(res, 404, 'Link not found');
+
+    const linkObjectId = new mongoose.Types.ObjectId(linkId);
+    const pullLink = (ref) => Project.updateOne(
+      { _id: ref.project },
+      {
+        $pull: everyCardPath('$[card].links', { _id: linkObjectId }),
+        $inc: { __v: 1 }
+      },
+      { arrayFilters: cardArrayFilters(ref.card) }
+    );
+
+    await pullLink({ project: context.project._id, card: context.card._id });
+    await pullLink({ project: link.project, card: link.card });
+
+    return sendResponse(res, 200, 'Link removed', { linkId });
+  } catch (err) {
+    return handleRouteError(res, 'Delete card link error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,531 @@
+const express = require('express');
+const Project = require('../../Models/Project');
+const User = require('../../Models/User');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  buildProjectAccessQuery,
+  isProjectMember,
+  isProjectOwner,
+  normalizeEmail,
+  formatInvalidEntry
+} = require('./helpers');
+
+const router = express.Router();
+
+function collectEmailsFromPayload(primaryEmail, emailList) {
+  const requested = [];
+  const invalidRawEntries = [];
+
+  const processValue = (value) => {
+    if (value === undefined || value === null)
+      return;
+
+    if (typeof value === 'string') {
+      requested.push(value);
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(processValue);
+      return;
+    }
+
+    if (typeof value === 'object') {
+      if (typeof value.email === 'string') {
+        requested.push(value.email);
+        return;
+      }
+
+      invalidRawEntries.push(value);
+      return;
+    }
+
+    invalidRawEntries.push(value);
+  };
+
+  processValue(emailList);
+  processValue(primaryEmail);
+
+  const normalizedEntries = requested.map((raw) => ({
+    raw,
+    normalized: normalizeEmail(raw)
+  }));
+
+  const invalidEmails = [
+    ...invalidRawEntries.map((entry) => formatInvalidEntry(entry)),
+    ...normalizedEntries
+      .filter((entry) => !entry.normalized)
+      .map((entry) => entry.raw || '[empty]')
+  ];
+
+  const normalizedEmails = [
+    ...new Set(
+      normalizedEntries
+        .map((entry) => entry.normalized)
+        .filter(Boolean)
+    )
+  ];
+
+  return { normalizedEmails, invalidEmails };
+}
+
+/**
+ * @swagger
+ * /projects/invitations:
+ *   get:
+ *     summary: List pending invitations for the authenticated user
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     invites:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProjectInviteSummary'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/invitations', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, { email: 1, fullName: 1 });
+    if (!user || !user.email)
+      return sendResponse(res, 404, 'User profile not found');
+
+    const email = normalizeEmail(user.email);
+
+    const projects = await Project.find({
+      invites: { $elemMatch: { email, status: 'pending' } }
+    })
+      .select({ name: 1, description: 1, invites: 1 })
+      .populate('invites.invitedBy', 'email fullName');
+
+    const invites = [];
+
+    projects.forEach((project) => {
+      (project.invites || [])
+        .filter((invite) => invite.email === email && invite.status === 'pending')
+        .forEach((invite) => {
+          invites.push({
+            inviteId: invite._id,
+            projectId: project._id,
+            projectName: project.name,
+            invitedBy: invite.invitedBy,
+            invitedAt: invite.invitedAt
+          });
+        });
+    });
+
+    return sendResponse(res, 200, 'Pending invitations fetched', { invites });
+  } catch (err) {
+    return handleRouteError(res, 'List invitations error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/invite:
+ *   post:
+ *     summary: Invite one or more users by email or add existing users to the project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             anyOf:
+ *               - required: [email]
+ *               - required: [emails]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Single email to invite
+ *               emails:
+ *                 type: array
+ *                 description: Array of email addresses to invite
+ *                 items:
+ *                   type: string
+ *                   format: email
+ *     responses:
+ *       200:
+ *         description: Invitation created or user added
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/invite', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { email, emails } = req.body || {};
+
+    const requestedEmails = [];
+    if (Array.isArray(emails))
+      requestedEmails.push(...emails);
+    if (typeof email === 'string' && email)
+      requestedEmails.push(email);
+
+    const normalizedEntries = requestedEmails.map((raw) => ({
+      raw,
+      normalized: normalizeEmail(raw)
+    }));
+    const invalidEmails = normalizedEntries
+      .filter((entry) => !entry.normalized)
+      .map((entry) => entry.raw);
+    const normalizedEmails = [
+      ...new Set(
+        normalizedEntries
+          .map((entry) => entry.normalized)
+          .filter(Boolean)
+      )
+    ];
+
+    if (!normalizedEmails.length)
+      return sendResponse(res, 400, 'At least one valid email is required');
+
+    const project = await Project.findOne(buildProjectAccessQuery(projectId, req.user.userId));
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can send invitations');
+
+    project.members = Array.isArray(project.members) ? project.members : [];
+    project.invites = Array.isArray(project.invites) ? project.invites : [];
+
+    const existingUsers = await User.find({ email: { $in: normalizedEmails } });
+    const userByEmail = new Map(
+      existingUsers.map((user) => [normalizeEmail(user.email), user])
+    );
+
+    const markInviteAccepted = (targetEmail) => {
+      project.invites.forEach((invite) => {
+        if (invite.email === targetEmail && invite.status === 'pending') {
+          invite.status = 'accepted';
+          invite.acceptedAt = new Date();
+        }
+      });
+    };
+
+    const membersToAdd = [];
+    const invitesToAdd = [];
+    const results = {
+      addedMembers: [],
+      invitationsSent: [],
+      alreadyMembers: [],
+      alreadyInvited: [],
+      invalidEmails
+    };
+
+    normalizedEmails.forEach((normalizedEmail) => {
+      const existingUser = userByEmail.get(normalizedEmail);
+
+      if (existingUser) {
+        const alreadyScheduled =
+          membersToAdd.some((member) => String(member.user) === String(existingUser._id)) ||
+          isProjectMember(project, existingUser._id);
+
+        if (alreadyScheduled) {
+          results.alreadyMembers.push(normalizedEmail);
+          return;
+        }
+
+        membersToAdd.push({
+          user: existingUser._id,
+          role: 'collaborator',
+          addedBy: req.user.userId,
+          joinedAt: new Date()
+        });
+
+        markInviteAccepted(normalizedEmail);
+        results.addedMembers.push(normalizedEmail);
+        return;
+      }
+
+      const hasPendingInvite = project.invites.some(
+        (invite) => invite.email === normalizedEmail && invite.status === 'pending'
+      );
+
+      if (hasPendingInvite) {
+        results.alreadyInvited.push(normalizedEmail);
+        return;
+      }
+
+      invitesToAdd.push({
+        email: normalizedEmail,
+        invitedBy: req.user.userId,
+        status: 'pending',
+        invitedAt: new Date()
+      });
+      results.invitationsSent.push(normalizedEmail);
+    });
+
+    if (membersToAdd.length)
+      project.members.push(...membersToAdd);
+    if (invitesToAdd.length)
+      project.invites.push(...invitesToAdd);
+
+    await project.save();
+
+    const message = results.invitationsSent.length || results.addedMembers.length
+      ? 'Invitations processed'
+      : 'No invitations were processed';
+
+    return sendResponse(res, 200, message, { results });
+  } catch (err) {
+    return handleRouteError(res, 'Invite collaborator error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/invite:
+ *   delete:
+ *     summary: Revoke a pending invitation or remove a member by email
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             anyOf:
+ *               - required: [email]
+ *               - required: [emails]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Email address to revoke access for
+ *               emails:
+ *                 type: array
+ *                 description: Array of email addresses to revoke access for
+ *                 items:
+ *                   type: string
+ *                   format: email
+ *     responses:
+ *       200:
+ *         description: Invitation revoked or member removed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Invite/member not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/invite', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { email, emails } = req.body || {};
+
+    const requestedEmails = [];
+    if (Array.isArray(emails))
+      requestedEmails.push(...emails);
+    if (typeof email === 'string' && email)
+      requestedEmails.push(email);
+
+    const normalizedEntries = requestedEmails.map((raw) => ({
+      raw,
+      normalized: normalizeEmail(raw)
+    }));
+
+    const invalidEmails = normalizedEntries
+      .filter((entry) => !entry.normalized)
+      .map((entry) => entry.raw);
+
+    const normalizedEmails = [
+      ...new Set(
+        normalizedEntries
+          .map((entry) => entry.normalized)
+          .filter(Boolean)
+      )
+    ];
+
+    if (!normalizedEmails.length)
+      return sendResponse(res, 400, 'At least one valid email is required');
+
+    const project = await Project.findOne(buildProjectAccessQuery(projectId, req.user.userId));
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can revoke invitations');
+
+    project.members = Array.isArray(project.members) ? project.members : [];
+    project.invites = Array.isArray(project.invites) ? project.invites : [];
+
+    const existingUsers = await User.find({ email: { $in: normalizedEmails } });
+    const userByEmail = new Map(
+      existingUsers.map((user) => [normalizeEmail(user.email), user])
+    );
+
+    const result = {
+      membersRemoved: [],
+      invitesCancelled: [],
+      notFound: [],
+      notRemovable: [],
+      invalidEmails
+    };
+
+    normalizedEmails.forEach((normalizedEmail) => {
+      const existingUser = userByEmail.get(normalizedEmail);
+
+      if (existingUser) {
+        const isOwnerTarget = project.owner && String(project.owner) === String(existingUser._id);
+        if (isOwnerTarget) {
+          result.notRemovable.push(normalizedEmail);
+          return;
+        }
+
+        const memberIndex = project.members.findIndex(
+          (member) => member.user && String(member.user) === String(existingUser._id)
+        );
+
+        if (memberIndex > -1) {
+          project.members.splice(memberIndex, 1);
+          result.membersRemoved.push(normalizedEmail);
+          return;
+        }
+      }
+
+      const invite = project.invites.find(
+        (entry) => entry.email === normalizedEmail && entry.status === 'pending'
+      );
+
+      if (invite) {
+        invite.status = 'cancelled';
+        invite.cancelledAt = new Date();
+        result.invitesCancelled.push(normalizedEmail);
+        return;
+      }
+
+      result.notFound.push(normalizedEmail);
+    });
+
+    if (!result.membersRemoved.length && !result.invitesCancelled.length)
+      return sendResponse(
+        res,
+        404,
+        'No pending invites or project members found for the provided emails',
+        { result }
+      );
+
+    await project.save();
+
+    return sendResponse(res, 200, 'Access revoked', { result });
+  } catch (err) {
+    return handleRouteError(res, 'Revoke invite error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/accept-invite:
+ *   post:
+ *     summary: Accept an invitation to join a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invitation not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/accept-invite', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const user = await User.findById(req.user.userId, { email: 1 });
+    if (!user || !user.email)
+      return sendResponse(res, 404, 'User profile not found');
+
+    const email = normalizeEmail(user.email);
+
+    const project = await Project.findOne({
+      _id: projectId,
+      invites: { $elemMatch: { email, status: 'pending' } }
+    });
+
+    if (!project)
+      return sendResponse(res, 404, 'Invitation not found for this project');
+
+    const invite = (project.invites || []).find(
+      (entry) => entry.email === email && entry.status === 'pending'
+    );
+
+    if (!invite)
+      return sendResponse(res, 404, 'Invitation not found');
+
+    if (!isProjectMember(project, user._id)) {
+      project.members = Array.isArray(project.members) ? project.members : [];
+      project.members.push({
+        user: user._id,
+        role: 'collaborator',
+        addedBy: invite.invitedBy || req.user.userId,
+        joinedAt: new Date()
+      });
+    }
+
+    invite.status = 'accepted';
+    invite.acceptedAt = new Date();
+
+    await project.save();
+
+    return sendResponse(res, 200, 'Invitation accepted');
+  } catch (err) {
+    return handleRouteError(res, 'Accept invitation error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,939 @@
+const express = require('express');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  normalizeColumnName,
+  findColumnIndex,
+  sortColumnsByOrder,
+  buildProjectAccessQuery,
+  isProjectOwner,
+  isValidObjectId,
+  resolveColumnCategories,
+  getDoneColumnNames,
+  collectProjectCards,
+  parseDateRange,
+  isWithinRange,
+  SPRINT_MAX_DAYS,
+  findSprint,
+  DAY_MS
+} = require('./helpers');
+
+const router = express.Router();
+
+const BURNDOWN_UNITS = ['cards', 'points'];
+
+// Replays a card's recorded activity backwards from its current value to find
+// what `field` held at `at`. Cards that did not exist yet yield undefined.
+function cardFieldValueAt(card = {}, field, at) {
+  if (card.createdAt && new Date(card.createdAt) > at)
+    return undefined;
+
+  const entries = (card.activity || [])
+    .filter((entry) => entry.field === field)
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+
+  let value = card[field];
+  for (const entry of entries) {
+    if (new Date(entry.at) <= at)
+      break;
+
+    value = entry.oldValue;
+  }
+
+  return value;
+}
+
+// UTC calendar days from `from` through `to`, as midnight timestamps.
+function listUtcDays(from, to) {
+  const days = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  while (cursor <= to) {
+    days.push(new Date(cursor));
+    cursor.setTime(cursor.getTime() + DAY_MS);
+  }
+
+  return days;
+}
+
+// Scope and completed work of a sprint as they stood at `at`. Statuses are
+// read under the columns' current names so renamed done columns still count.
+function measureSprintAt(cards = [], doneColumns, sprintId, at, unit, renames = []) {
+  let scope = 0;
+  let completed = 0;
+
+  cards.forEach((card) => {
+    const sprint = cardFieldValueAt(card, 'sprint', at);
+    if (!sprint || String(sprint) !== String(sprintId) || cardFieldValueAt(card, 'deletedAt', at))
+      return;
+
+    const amount = unit === 'points' ? Number(cardFieldValueAt(card, 'storyPoints', at)) || 0 : 1;
+    const status = normalizeColumnName(
+      resolveStatusName(renames, cardFieldValueAt(card, 'status', at), at) || ''
+    ).toLowerCase();
+
+    scope += amount;
+    if (doneColumns.has(status))
+      completed += amount;
+  });
+
+  return { scope, completed };
+}
+
+// Daily burndown/burnup series for a started sprint. Each day is measured at
+// its end (or at completion/now if earlier); days still ahead have null
+// actuals so the ideal line can run through the end date. The series never
+// spans more than SPRINT_MAX_DAYS, whatever dates older sprints were saved with.
+function buildSprintBurndown(project = {}, sprint = {}, unit = 'cards', now = new Date()) {
+  const cards = collectProjectCards(project);
+  const doneColumns = getDoneColumnNames(project.columns || []);
+  const renames = project.columnRenames || [];
+  const startedAt = new Date(sprint.startedAt || sprint.startDate);
+  const endDate = new Date(Math.min(
+    new Date(sprint.endDate || sprint.completedAt || now).getTime(),
+    startedAt.getTime() + SPRINT_MAX_DAYS * DAY_MS
+  ));
+  const cutoff = sprint.completedAt ? new Date(sprint.completedAt) : now;
+
+  const committed = measureSprintAt(cards, doneColumns, sprint._id, startedAt, unit, renames).scope;
+  const days = listUtcDays(startedAt, endDate);
+  const steps = Math.max(days.length - 1, 1);
+
+  const series = days.map((day, index) => {
+    const idealRemaining = Math.round(committed * (1 - index / steps) * 100) / 100;
+    const entry = {
+      date: day.toISOString().slice(0, 10),
+      scope: null,
+      completed: null,
+      remaining: null,
+      idealRemaining,
+      idealCompleted: Math.round((committed - idealRemaining) * 100) / 100
+    };
+
+    if (day > cutoff)
+      return entry;
+
+    const endOfDay = new Date(Math.min(day.getTime() + DAY_MS - 1, cutoff.getTime()));
+    const { scope, completed } = measureSprintAt(cards, doneColumns, sprint._id, endOfDay, unit, renames);
+
+    return { ...entry, scope, completed, remaining: scope - completed };
+  });
+
+  return { unit, committed, series };
+}
+
+const VELOCITY_REPORT_FORMATS = ['json', 'csv'];
+
+const VELOCITY_REPORT_MAX_SPRINTS = 50;
+
+function pointsAt(card, at) {
+  return Number(cardFieldValueAt(card, 'storyPoints', at)) || 0;
+}
+
+function summarizeCardSet(cards = [], at) {
+  return {
+    cards: cards.length,
+    points: cards.reduce((total, card) => total + pointsAt(card, at), 0)
+  };
+}
+
+// Cards that joined the sprint after it started, either by being moved into
+// it or by being created in it.
+function findCardsAddedMidSprint(cards = [], sprint = {}, committedIds) {
+  const startedAt = new Date(sprint.startedAt);
+  const completedAt = new Date(sprint.completedAt);
+  const sprintId = String(sprint._id);
+  const inWindow = (date) => new Date(date) > startedAt && new Date(date) <= completedAt;
+
+  return cards.filter((card) => {
+    if (committedIds.has(String(card._id)))
+      return false;
+
+    const movedIn = (card.activity || []).some((entry) =>
+      entry.field === 'sprint' && String(entry.newValue || '') === sprintId && inWindow(entry.at)
+    );
+    const createdIn = inWindow(card.createdAt) &&
+      String(cardFieldValueAt(card, 'sprint', new Date(card.createdAt)) || '') === sprintId;
+
+    return movedIn || createdIn;
+  });
+}
+
+// Committed and carried-over work come from the snapshots taken when the
+// sprint started and was completed; points are read as they stood then.
+function buildSprintReportEntry(cards = [], sprint = {}) {
+  const byId = new Map(cards.map((card) => [String(card._id), card]));
+  const pick = (ids = []) => ids.map((id) => byId.get(String(id))).filter(Boolean);
+  const startedAt = new Date(sprint.startedAt);
+  const completedAt = new Date(sprint.completedAt);
+  const committedIds = new Set((sprint.committedCards || []).map(String));
+
+  return {
+    sprintId: sprint._id,
+    name: sprint.name,
+    startDate: sprint.startDate,
+    endDate: sprint.endDate,
+    completedAt: sprint.completedAt,
+    committed: summarizeCardSet(pick(sprint.committedCards), startedAt),
+    completed: summarizeCardSet(pick(sprint.completedCards), completedAt),
+    addedMidSprint: summarizeCardSet(findCardsAddedMidSprint(cards, sprint, committedIds), completedAt),
+    carriedOver: summarizeCardSet(pick(sprint.carriedOverCards), completedAt)
+  };
+}
+
+// Oldest sprint first; the average rolls forward as sprints are closed.
+function buildVelocityReport(project = {}, limit) {
+  const cards = collectProjectCards(project);
+  const sprints = (project.sprints || [])
+    .filter((sprint) => sprint.state === 'closed' && sprint.completedAt)
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+    .slice(0, limit)
+    .reverse()
+    .map((sprint) => buildSprintReportEntry(cards, sprint));
+
+  const average = (key) => (sprints.length
+    ? Math.round((sprints.reduce((total, entry) => total + entry.completed[key], 0) / sprints.length) * 100) / 100
+    : 0);
+
+  return {
+    sprints,
+    averageVelocity: { cards: average('cards'), points: average('points') }
+  };
+}
+
+function escapeCsvValue(value) {
+  const text = value === undefined || value === null
+    ? ''
+    : value instanceof Date ? value.toISOString() : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatVelocityCsv(report = {}) {
+  const header = [
+    'sprint', 'startDate', 'endDate', 'completedAt',
+    'committedCards', 'committedPoints', 'completedCards', 'completedPoints',
+    'addedCards', 'addedPoints', 'carriedOverCards', 'carriedOverPoints'
+  ];
+
+  const rows = (report.sprints || []).map((entry) => [
+    entry.name, entry.startDate, entry.endDate, entry.completedAt,
+    entry.committed.cards, entry.committed.points, entry.completed.cards, entry.completed.points,
+    entry.addedMidSprint.cards, entry.addedMidSprint.points, entry.carriedOver.cards, entry.carriedOver.points
+  ]);
+
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+}
+
+// Statuses recorded before a column rename carry the old name; following the
+// renames made after `at` gives the column's current name.
+function resolveStatusName(renames = [], name, at) {
+  return [...renames]
+    .filter((rename) => new Date(rename.at) > at)
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .reduce((current, rename) => (
+      normalizeColumnName(current || '').toLowerCase() === normalizeColumnName(rename.from).toLowerCase()
+        ? rename.to
+        : current
+    ), name);
+}
+
+const FLOW_PERCENTILES = [50, 75, 85, 95];
+
+const FLOW_DEFAULT_RANGE_DAYS = 30;
+
+const FLOW_MAX_RANGE_DAYS = 366;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Configured names that no longer match a column are ignored. Without
+// settings, the column categories decide: done columns are done and work counts
+// as started once it leaves the to-do columns.
+function resolveFlowColumns(project = {}) {
+  const columns = sortColumnsByOrder(project.columns || []);
+  const settings = project.flowSettings || {};
+  const known = (names) => (Array.isArray(names) ? names : [])
+    .map((name) => normalizeColumnName(name).toLowerCase())
+    .filter((name) => findColumnIndex(columns, name) !== -1);
+
+  const configuredDone = known(settings.doneColumns);
+  const done = new Set(configuredDone.length ? configuredDone : getDoneColumnNames(columns));
+
+  const configuredStarted = known(settings.startedColumns);
+  const started = new Set(configuredStarted.length
+    ? configuredStarted
+    : [...resolveColumnCategories(columns)]
+      .filter(([, category]) => category !== 'to-do')
+      .map(([name]) => name));
+  done.forEach((name) => started.add(name));
+
+  const namesOf = (set) => columns
+    .filter((column) => set.has(normalizeColumnName(column.name).toLowerCase()))
+    .map((column) => column.name);
+
+  return {
+    started,
+    done,
+    renames: project.columnRenames || [],
+    startedColumns: namesOf(started).filter((name) => !done.has(name.toLowerCase())),
+    doneColumns: namesOf(done)
+  };
+}
+
+function validateFlowSettings(project = {}, { startedColumns, doneColumns } = {}) {
+  const columns = project.columns || [];
+  const lists = { startedColumns, doneColumns };
+
+  for (const [field, names] of Object.entries(lists)) {
+    if (names === undefined || names === null)
+      continue;
+
+    if (!Array.isArray(names) || names.some((name) => typeof name !== 'string'))
+      return `${field} must be an array of column names`;
+
+    const unknown = names.filter((name) => findColumnIndex(columns, name) === -1);
+    if (unknown.length)
+      return `${field} has unknown columns: ${unknown.join(', ')}`;
+  }
+
+  const doneNames = new Set((doneColumns || []).map((name) => normalizeColumnName(name).toLowerCase()));
+  const overlap = (startedColumns || []).filter((name) => doneNames.has(normalizeColumnName(name).toLowerCase()));
+  if (overlap.length)
+    return `Columns cannot be both started and done: ${overlap.join(', ')}`;
+
+  return null;
+}
+
+// Column names as stored, in board order.
+function normalizeFlowColumnNames(columns = [], names) {
+  if (!Array.isArray(names))
+    return [];
+
+  const wanted = new Set(names.map((name) => normalizeColumnName(name).toLowerCase()));
+  return sortColumnsByOrder(columns)
+    .filter((column) => wanted.has(normalizeColumnName(column.name).toLowerCase()))
+    .map((column) => column.name);
+}
+
+// Status changes in time order, starting with the status the card was created
+// in. Statuses are given under the columns' current names, so a rename reads as
+// the card staying where it was.
+function buildStatusTimeline(card = {}, renames = []) {
+  const changes = (card.activity || [])
+    .filter((entry) => entry.field === 'status' && entry.newValue)
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .map((entry) => ({ status: entry.newValue, at: new Date(entry.at), from: entry.oldValue }));
+
+  if (!changes.length || changes[0].from) {
+    const initial = changes.length ? changes[0].from : card.status;
+    changes.unshift({ status: initial, at: new Date(card.createdAt), from: null });
+  }
+
+  return changes.map((change) => ({ ...change, status: resolveStatusName(renames, change.status, change.at) }));
+}
+
+function toHours(ms) {
+  return Math.round((ms / HOUR_MS) * 100) / 100;
+}
+
+// Done time is the last move into a done column; started is the first move
+// into a started (or done) column before that.
+function measureCardFlow(card = {}, flow) {
+  const inSet = (set, status) => set.has(normalizeColumnName(status || '').toLowerCase());
+  if (!inSet(flow.done, card.status))
+    return null;
+
+  const timeline = buildStatusTimeline(card, flow.renames);
+  let doneIndex = timeline.length - 1;
+  while (doneIndex > 0 && inSet(flow.done, timeline[doneIndex - 1].status))
+    doneIndex -= 1;
+
+  const doneAt = timeline[doneIndex].at;
+  const started = timeline.slice(0, doneIndex + 1).find((entry) => inSet(flow.started, entry.status));
+  const createdAt = new Date(card.createdAt);
+  const startedAt = started ? started.at : null;
+
+  return {
+    cardId: card._id,
+    key: card.key || null,
+    title: card.title,
+    createdAt,
+    startedAt,
+    doneAt,
+    leadTimeHours: toHours(doneAt - createdAt),
+    cycleTimeHours: startedAt ? toHours(doneAt - startedAt) : null
+  };
+}
+
+// Nearest-rank percentiles.
+function summarizeDurations(values = []) {
+  const sorted = values.filter((value) => typeof value === 'number').sort((a, b) => a - b);
+  if (!sorted.length)
+    return { count: 0, average: null, min: null, max: null, percentiles: {} };
+
+  const percentiles = Object.fromEntries(FLOW_PERCENTILES.map((percentile) => [
+    `p${percentile}`,
+    sorted[Math.max(Math.ceil((percentile / 100) * sorted.length) - 1, 0)]
+  ]));
+
+  return {
+    count: sorted.length,
+    average: Math.round((sorted.reduce((total, value) => total + value, 0) / sorted.length) * 100) / 100,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    percentiles
+  };
+}
+
+function resolveFlowRange(query = {}, now = new Date()) {
+  const { range, error } = parseDateRange(query);
+  if (error)
+    return { error };
+
+  const to = range.to || now;
+  const from = range.from || new Date(to.getTime() - FLOW_DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from > to)
+    return { error: 'from must be before to' };
+
+  if (to - from > FLOW_MAX_RANGE_DAYS * DAY_MS)
+    return { error: `The date range cannot exceed ${FLOW_MAX_RANGE_DAYS} days` };
+
+  return { range: { from, to } };
+}
+
+// Each day counts cards by the column they were in at its end, replaying
+// board, backlog, archived and trashed cards and skipping those in the
+// backlog, archived or deleted by then. Backlog cards from before backlog
+// moves were recorded have no history and are left out. Statuses are mapped
+// through column renames; those of removed columns are reported after the
+// current columns.
+function buildCumulativeFlow(project = {}, range) {
+  const cards = [
+    ...(project.columns || []).flatMap((column) => column.cards || []),
+    ...(project.backlog || []).filter((card) => card.backlogAt),
+    ...(project.archivedCards || []),
+    ...(project.trash || [])
+  ];
+  const renames = project.columnRenames || [];
+  const columnNames = sortColumnsByOrder(project.columns || []).map((column) => column.name);
+  const byKey = new Map(columnNames.map((name) => [normalizeColumnName(name).toLowerCase(), name]));
+  const extraNames = new Set();
+
+  const series = listUtcDays(range.from, range.to).map((day) => {
+    const at = new Date(Math.min(day.getTime() + DAY_MS - 1, range.to.getTime()));
+    const counts = Object.fromEntries(columnNames.map((name) => [name, 0]));
+
+    cards.forEach((card) => {
+      const status = resolveStatusName(renames, cardFieldValueAt(card, 'status', at), at);
+      const offBoard = ['backlogAt', 'archivedAt', 'deletedAt'].some((field) => cardFieldValueAt(card, field, at));
+      if (!status || offBoard)
+        return;
+
+      const name = byKey.get(normalizeColumnName(status).toLowerCase()) || status;
+      if (!byKey.has(normalizeColumnName(status).toLowerCase()))
+        extraNames.add(name);
+
+      counts[name] = (counts[name] || 0) + 1;
+    });
+
+    return { date: day.toISOString().slice(0, 10), counts };
+  });
+
+  return { columns: [...columnNames, ...extraNames], series };
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints/{sprintId}/burndown:
+ *   get:
+ *     summary: Daily burndown and burnup data for a started sprint
+ *     description: >
+ *       The series is rebuilt from each card's recorded sprint, status and
+ *       story point changes, so cards added, removed or reopened mid-sprint
+ *       show on the day it happened. Days are UTC; days after today (or after
+ *       the sprint was completed) only carry the ideal line.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *           enum: [cards, points]
+ *           default: cards
+ *     responses:
+ *       200:
+ *         description: Burndown fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/SprintBurndown'
+ *       400:
+ *         description: Invalid sprint id or unit, or the sprint has not started
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/sprints/:sprintId/burndown', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const { unit = 'cards' } = req.query;
+
+    if (!isValidObjectId(sprintId))
+      return sendResponse(res, 400, 'Invalid sprint id');
+
+    if (!BURNDOWN_UNITS.includes(unit))
+      return sendResponse(res, 400, `unit must be one of: ${BURNDOWN_UNITS.join(', ')}`);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { sprints: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1, columnRenames: 1 }
+    ).lean();
+
+    const sprint = findSprint(project || {}, sprintId);
+    if (!sprint)
+      return sendResponse(res, 404, 'Project or sprint not found');
+
+    if (sprint.state === 'planned')
+      return sendResponse(res, 400, 'Sprint has not started yet');
+
+    return sendResponse(res, 200, 'Burndown fetched', {
+      sprint: {
+        _id: sprint._id,
+        name: sprint.name,
+        state: sprint.state,
+        startDate: sprint.startDate,
+        endDate: sprint.endDate,
+        completedAt: sprint.completedAt
+      },
+      ...buildSprintBurndown(project, sprint, unit)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Sprint burndown error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/velocity:
+ *   get:
+ *     summary: Velocity and sprint report for the last closed sprints
+ *     description: >
+ *       For each sprint: work committed at start, completed, added after the
+ *       start and carried over at completion, in cards and story points. The
+ *       average velocity is the mean completed work across the reported sprints.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: Number of most recently closed sprints to include
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv returns the sprint rows as a file download
+ *     responses:
+ *       200:
+ *         description: Velocity report fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/VelocityReport'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid limit or format
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/velocity', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { format = 'json' } = req.query;
+    const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > VELOCITY_REPORT_MAX_SPRINTS)
+      return sendResponse(res, 400, `limit must be an integer between 1 and ${VELOCITY_REPORT_MAX_SPRINTS}`);
+
+    if (!VELOCITY_REPORT_FORMATS.includes(format))
+      return sendResponse(res, 400, `format must be one of: ${VELOCITY_REPORT_FORMATS.join(', ')}`);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { key: 1, sprints: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const report = buildVelocityReport(project, limit);
+
+    if (format === 'csv') {
+      const fileName = `${project.key || project._id}-velocity.csv`;
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`
+      });
+      return res.status(200).send(formatVelocityCsv(report));
+    }
+
+    return sendResponse(res, 200, 'Velocity report fetched', report);
+  } catch (err) {
+    return handleRouteError(res, 'Velocity report error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/flow-settings:
+ *   get:
+ *     summary: Columns that count as started and done for flow metrics
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Flow settings fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     flowSettings:
+ *                       $ref: '#/components/schemas/FlowSettings'
+ *                     configured:
+ *                       type: boolean
+ *                       description: false when the defaults are in use
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/flow-settings', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1, flowSettings: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const { startedColumns, doneColumns } = resolveFlowColumns(project);
+    const settings = project.flowSettings || {};
+
+    return sendResponse(res, 200, 'Flow settings fetched', {
+      flowSettings: { startedColumns, doneColumns },
+      configured: Boolean((settings.startedColumns || []).length || (settings.doneColumns || []).length)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Get flow settings error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/flow-settings:
+ *   put:
+ *     summary: Choose which columns count as started and done (owner only)
+ *     description: >
+ *       An empty or null list goes back to the default taken from the column
+ *       categories: done columns are done and work is started once it leaves
+ *       the to-do columns. Done columns always count as started.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FlowSettings'
+ *     responses:
+ *       200:
+ *         description: Flow settings updated
+ *       400:
+ *         description: Unknown or overlapping columns
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the project owner can change flow settings
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:projectId/flow-settings', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { startedColumns, doneColumns } = req.body || {};
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, columns: 1, flowSettings: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can change flow settings');
+
+    const validationError = validateFlowSettings(project, { startedColumns, doneColumns });
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const current = project.flowSettings || {};
+    const flowSettings = {
+      startedColumns: startedColumns === undefined
+        ? current.startedColumns || []
+        : normalizeFlowColumnNames(project.columns, startedColumns),
+      doneColumns: doneColumns === undefined
+        ? current.doneColumns || []
+        : normalizeFlowColumnNames(project.columns, doneColumns)
+    };
+
+    const overlapError = validateFlowSettings(project, flowSettings);
+    if (overlapError)
+      return sendResponse(res, 400, overlapError);
+
+    const updatedProject = await Project.findOneAndUpdate(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { $set: { flowSettings } },
+      { new: true, projection: { columns: 1, flowSettings: 1 } }
+    ).lean();
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project not found');
+
+    const resolved = resolveFlowColumns(updatedProject);
+
+    return sendResponse(res, 200, 'Flow settings updated', {
+      flowSettings: { startedColumns: resolved.startedColumns, doneColumns: resolved.doneColumns }
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update flow settings error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/flow-metrics:
+ *   get:
+ *     summary: Lead and cycle times of cards finished in a date range
+ *     description: >
+ *       Lead time runs from creation to the last move into a done column;
+ *       cycle time from the first move into a started column to that same
+ *       point. Durations are in hours and rebuilt from recorded status
+ *       changes. Archived cards are included.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; defaults to now
+ *     responses:
+ *       200:
+ *         description: Flow metrics fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/FlowMetrics'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/flow-metrics', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const { range, error } = resolveFlowRange(req.query);
+    if (error)
+      return sendResponse(res, 400, error);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1, archivedCards: 1, flowSettings: 1, columnRenames: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const flow = resolveFlowColumns(project);
+    const cards = [
+      ...(project.columns || []).flatMap((column) => column.cards || []),
+      ...(project.archivedCards || [])
+    ]
+      .map((card) => measureCardFlow(card, flow))
+      .filter((entry) => entry && isWithinRange(entry.doneAt, range))
+      .sort((a, b) => a.doneAt - b.doneAt);
+
+    return sendResponse(res, 200, 'Flow metrics fetched', {
+      range,
+      flowSettings: { startedColumns: flow.startedColumns, doneColumns: flow.doneColumns },
+      leadTime: summarizeDurations(cards.map((card) => card.leadTimeHours)),
+      cycleTime: summarizeDurations(cards.map((card) => card.cycleTimeHours)),
+      cards
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Flow metrics error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cumulative-flow:
+ *   get:
+ *     summary: Cumulative flow diagram data
+ *     description: >
+ *       Card counts per column at the end of each UTC day in the range,
+ *       rebuilt from recorded status changes. Cards are counted only while on
+ *       the board, and columns renamed since keep their current name.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; defaults to now. The range is capped at 366 days
+ *     responses:
+ *       200:
+ *         description: Cumulative flow fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/CumulativeFlow'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cumulative-flow', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const { range, error } = resolveFlowRange(req.query);
+    if (error)
+      return sendResponse(res, 400, error);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { columns: 1, backlog: 1, archivedCards: 1, trash: 1, columnRenames: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    return sendResponse(res, 200, 'Cumulative flow fetched', {
+      range,
+      ...buildCumulativeFlow(project, range)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Cumulative flow error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,836 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  sortColumnsByOrder,
+  buildProjectAccessQuery,
+  isProjectOwner,
+  isValidObjectId,
+  buildCardActivity,
+  saveProjectColumns,
+  rewriteProjectCards,
+  sendBoardConflict,
+  isDoneColumnName,
+  SPRINT_MAX_DAYS,
+  findSprint,
+  DAY_MS
+} = require('./helpers');
+
+const router = express.Router();
+
+const SPRINT_STATES = ['planned', 'active', 'closed'];
+
+function validateSprintPayload(payload = {}, { requireName = false } = {}) {
+  const { name, goal, startDate, endDate } = payload;
+
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim())
+      return 'Sprint name is required';
+
+    if (name.trim().length > 100)
+      return 'Sprint name cannot exceed 100 characters';
+  }
+
+  if (goal !== undefined && goal !== null && typeof goal !== 'string')
+    return 'Sprint goal must be a string';
+
+  if (startDate !== undefined && startDate !== null && Number.isNaN(new Date(startDate).getTime()))
+    return 'Invalid start date';
+
+  if (endDate !== undefined && endDate !== null && Number.isNaN(new Date(endDate).getTime()))
+    return 'Invalid end date';
+
+  return null;
+}
+
+function validateSprintDates(startDate, endDate) {
+  if (startDate && endDate && new Date(endDate) <= new Date(startDate))
+    return 'Sprint end date must be after its start date';
+
+  if (startDate && endDate && new Date(endDate) - new Date(startDate) > SPRINT_MAX_DAYS * DAY_MS)
+    return `A sprint cannot run longer than ${SPRINT_MAX_DAYS} days`;
+
+  return null;
+}
+
+function collectSprintCards(columns = [], sprintId) {
+  return columns.flatMap((column) =>
+    (column.cards || []).filter((card) => card.sprint && String(card.sprint) === String(sprintId))
+  );
+}
+
+function sumStoryPoints(cards = []) {
+  return cards.reduce((total, card) => total + (card.storyPoints || 0), 0);
+}
+
+// Progress follows the board's done columns, like epic rollups.
+function buildSprintOverview(project = {}, sprint = {}, { includeCards = true } = {}) {
+  const columns = sortColumnsByOrder(project.columns || []);
+  const cards = collectSprintCards(columns, sprint._id);
+  const doneCards = cards.filter((card) => isDoneColumnName(columns, card.status));
+
+  const overview = {
+    sprint,
+    progress: {
+      cards: cards.length,
+      doneCards: doneCards.length,
+      storyPoints: sumStoryPoints(cards),
+      doneStoryPoints: sumStoryPoints(doneCards)
+    }
+  };
+
+  if (includeCards)
+    overview.cards = cards;
+
+  return overview;
+}
+
+// The next planned sprint is the one starting soonest; undated ones come last
+// in creation order.
+function findNextPlannedSprint(project = {}, excludeId) {
+  return (project.sprints || [])
+    .filter((sprint) => sprint.state === 'planned' && String(sprint._id) !== String(excludeId))
+    .sort((a, b) => {
+      const aStart = a.startDate ? new Date(a.startDate).getTime() : Infinity;
+      const bStart = b.startDate ? new Date(b.startDate).getTime() : Infinity;
+
+      return aStart - bStart || new Date(a.createdAt) - new Date(b.createdAt);
+    })[0] || null;
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints:
+ *   get:
+ *     summary: List the project's sprints with card and story point progress
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [planned, active, closed]
+ *     responses:
+ *       200:
+ *         description: Sprints fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     sprints:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SprintOverview'
+ *       400:
+ *         description: Invalid state filter
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/sprints', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { state } = req.query;
+
+    if (state !== undefined && !SPRINT_STATES.includes(state))
+      return sendResponse(res, 400, `Sprint state must be one of: ${SPRINT_STATES.join(', ')}`);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { sprints: 1, columns: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const sprints = (project.sprints || [])
+      .filter((sprint) => !state || sprint.state === state)
+      .map((sprint) => buildSprintOverview(project, sprint, { includeCards: false }));
+
+    return sendResponse(res, 200, 'Sprints fetched', { sprints });
+  } catch (err) {
+    return handleRouteError(res, 'List sprints error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints:
+ *   post:
+ *     summary: Plan a sprint
+ *     description: Sprints are only available on scrum boards. New sprints start in the planned state.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sprint 4
+ *               goal:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Sprint created
+ *       400:
+ *         description: Validation error or kanban board
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/sprints', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const payload = req.body || {};
+
+    const validationError = validateSprintPayload(payload, { requireName: true })
+      || validateSprintDates(payload.startDate, payload.endDate);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { boardType: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    if (project.boardType === 'kanban')
+      return sendResponse(res, 400, 'Sprints are only available on scrum boards');
+
+    const sprint = {
+      _id: new mongoose.Types.ObjectId(),
+      name: payload.name.trim(),
+      goal: payload.goal || '',
+      startDate: payload.startDate ? new Date(payload.startDate) : null,
+      endDate: payload.endDate ? new Date(payload.endDate) : null,
+      state: 'planned',
+      createdBy: req.user.userId,
+      createdAt: new Date()
+    };
+
+    const updatedProject = await Project.findOneAndUpdate(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { $push: { sprints: sprint } },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project not found');
+
+    return sendResponse(res, 201, 'Sprint created', {
+      sprint: findSprint(updatedProject, sprint._id)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Create sprint error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints/{sprintId}:
+ *   get:
+ *     summary: Fetch a sprint with its board cards
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sprint fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/SprintOverview'
+ *       400:
+ *         description: Invalid sprint id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/sprints/:sprintId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+
+    if (!isValidObjectId(sprintId))
+      return sendResponse(res, 400, 'Invalid sprint id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { sprints: 1, columns: 1 }
+    ).lean();
+
+    const sprint = findSprint(project || {}, sprintId);
+    if (!sprint)
+      return sendResponse(res, 404, 'Project or sprint not found');
+
+    return sendResponse(res, 200, 'Sprint fetched', buildSprintOverview(project, sprint));
+  } catch (err) {
+    return handleRouteError(res, 'Get sprint error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints/{sprintId}:
+ *   patch:
+ *     summary: Update a planned or active sprint
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               goal:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Sprint updated
+ *       400:
+ *         description: Validation error or closed sprint
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or sprint not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/sprints/:sprintId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const payload = req.body || {};
+
+    if (!isValidObjectId(sprintId))
+      return sendResponse(res, 400, 'Invalid sprint id');
+
+    const validationError = validateSprintPayload(payload);
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { sprints: 1 }
+    ).lean();
+
+    const sprint = findSprint(project || {}, sprintId);
+    if (!sprint)
+      return sendResponse(res, 404, 'Project or sprint not found');
+
+    if (sprint.state === 'closed')
+      return sendResponse(res, 400, 'Closed sprints cannot be edited');
+
+    if (sprint.state === 'active' && payload.endDate === null)
+      return sendResponse(res, 400, 'An active sprint needs an end date');
+
+    const $set = {};
+    if (payload.name !== undefined)
+      $set['sprints.$.name'] = payload.name.trim();
+    if (payload.goal !== undefined)
+      $set['sprints.$.goal'] = payload.goal || '';
+    if (payload.startDate !== undefined)
+      $set['sprints.$.startDate'] = payload.startDate ? new Date(payload.startDate) : null;
+    if (payload.endDate !== undefined)
+      $set['sprints.$.endDate'] = payload.endDate ? new Date(payload.endDate) : null;
+
+    if (!Object.keys($set).length)
+      return sendResponse(res, 400, 'Provide at least one field to update');
+
+    const datesError = validateSprintDates(
+      payload.startDate !== undefined ? payload.startDate : sprint.startDate,
+      payload.endDate !== undefined ? payload.endDate : sprint.endDate
+    );
+    if (datesError)
+      return sendResponse(res, 400, datesError);
+
+    if (sprint.state === 'active' && $set['sprints.$.name'])
+      $set.currentSprint = $set['sprints.$.name'];
+
+    // The state filter keeps a sprint completed in the meantime from being edited.
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...buildProjectAccessQuery(projectId, req.user.userId),
+        sprints: { $elemMatch: { _id: sprint._id, state: sprint.state } }
+      },
+      { $set },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or sprint not found');
+
+    return sendResponse(res, 200, 'Sprint updated', {
+      sprint: findSprint(updatedProject, sprintId)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update sprint error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints/{sprintId}:
+ *   delete:
+ *     summary: Delete a planned sprint and take its cards out of it
+ *     description: Active and closed sprints are kept for reporting and cannot be deleted.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sprint deleted
+ *       400:
+ *         description: Invalid sprint id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or planned sprint not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/sprints/:sprintId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+
+    if (!isValidObjectId(sprintId))
+      return sendResponse(res, 400, 'Invalid sprint id');
+
+    const sprintObjectId = new mongoose.Types.ObjectId(sprintId);
+    const project = await Project.findOne(
+      {
+        ...buildProjectAccessQuery(projectId, req.user.userId),
+        sprints: { $elemMatch: { _id: sprintObjectId, state: 'planned' } }
+      },
+      { columns: 1, backlog: 1, archivedCards: 1, trash: 1, __v: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project or planned sprint not found');
+
+    const cardUpdate = rewriteProjectCards(project, req.user.userId, (card) => (
+      card.sprint && String(card.sprint) === sprintId ? { sprint: null } : null
+    ));
+
+    const updatedProject = await Project.findOneAndUpdate(
+      { ...buildProjectAccessQuery(projectId, req.user.userId), __v: project.__v },
+      { ...cardUpdate, $pull: { sprints: { _id: sprintObjectId } }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Sprint deleted', { sprintId });
+  } catch (err) {
+    return handleRouteError(res, 'Delete sprint error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints/{sprintId}/start:
+ *   post:
+ *     summary: Start a planned sprint
+ *     description: >
+ *       Only one sprint per project can be active. The cards in the sprint at
+ *       this point are recorded as its committed scope.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the planned start date, or now
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required unless the sprint already has one
+ *     responses:
+ *       200:
+ *         description: Sprint started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/SprintOverview'
+ *       400:
+ *         description: Validation error, kanban board or sprint not planned
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the project owner can start a sprint
+ *       404:
+ *         description: Project or sprint not found
+ *       409:
+ *         description: Another sprint is already active, or the board changed
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/sprints/:sprintId/start', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const payload = req.body || {};
+
+    if (!isValidObjectId(sprintId))
+      return sendResponse(res, 400, 'Invalid sprint id');
+
+    const validationError = validateSprintPayload({ startDate: payload.startDate, endDate: payload.endDate });
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, boardType: 1, sprints: 1, columns: 1, __v: 1 }
+    ).lean();
+
+    const sprint = findSprint(project || {}, sprintId);
+    if (!sprint)
+      return sendResponse(res, 404, 'Project or sprint not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can start a sprint');
+
+    if (project.boardType === 'kanban')
+      return sendResponse(res, 400, 'Sprints are only available on scrum boards');
+
+    if (sprint.state !== 'planned')
+      return sendResponse(res, 400, `Sprint is already ${sprint.state}`);
+
+    const active = (project.sprints || []).find((entry) => entry.state === 'active');
+    if (active)
+      return sendResponse(res, 409, `Sprint "${active.name}" is still active. Complete it first`);
+
+    const now = new Date();
+    const startDate = payload.startDate ? new Date(payload.startDate) : sprint.startDate || now;
+    const endDate = payload.endDate ? new Date(payload.endDate) : sprint.endDate;
+
+    if (!endDate)
+      return sendResponse(res, 400, 'endDate is required to start a sprint');
+
+    const datesError = validateSprintDates(startDate, endDate);
+    if (datesError)
+      return sendResponse(res, 400, datesError);
+
+    const committed = collectSprintCards(project.columns || [], sprint._id);
+
+    // The version filter keeps the committed snapshot in line with the board,
+    // and the state filter keeps two sprints from being started at once.
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...buildProjectAccessQuery(projectId, req.user.userId),
+        __v: project.__v,
+        'sprints.state': { $ne: 'active' }
+      },
+      {
+        $set: {
+          'sprints.$[sprint].state': 'active',
+          'sprints.$[sprint].startDate': startDate,
+          'sprints.$[sprint].endDate': endDate,
+          'sprints.$[sprint].startedAt': now,
+          'sprints.$[sprint].startedBy': req.user.userId,
+          'sprints.$[sprint].committedCards': committed.map((card) => card._id),
+          currentSprint: sprint.name
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: [{ 'sprint._id': sprint._id, 'sprint.state': 'planned' }] }
+    ).lean();
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Sprint started', buildSprintOverview(
+      updatedProject,
+      findSprint(updatedProject, sprintId)
+    ));
+  } catch (err) {
+    return handleRouteError(res, 'Start sprint error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/sprints/{sprintId}/complete:
+ *   post:
+ *     summary: Complete the active sprint
+ *     description: >
+ *       Cards in a done column stay in the sprint. Unfinished cards are taken
+ *       out of it and either go to the top of the backlog or into a planned
+ *       sprint, where they stay on the board.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               moveUnfinishedTo:
+ *                 type: string
+ *                 default: backlog
+ *                 description: >
+ *                   `backlog`, `next` (the planned sprint starting soonest) or
+ *                   the id of a planned sprint
+ *     responses:
+ *       200:
+ *         description: Sprint completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     sprint:
+ *                       $ref: '#/components/schemas/Sprint'
+ *                     completedCards:
+ *                       type: integer
+ *                     carriedOverCards:
+ *                       type: integer
+ *                     carriedOverTo:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Target sprint id, or null for the backlog
+ *       400:
+ *         description: Sprint not active or invalid target
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the project owner can complete a sprint
+ *       404:
+ *         description: Project or sprint not found
+ *       409:
+ *         description: Board was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/sprints/:sprintId/complete', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const { moveUnfinishedTo = 'backlog' } = req.body || {};
+
+    if (!isValidObjectId(sprintId))
+      return sendResponse(res, 400, 'Invalid sprint id');
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { owner: 1, members: 1, sprints: 1, columns: 1, __v: 1 }
+    ).lean();
+
+    const sprint = findSprint(project || {}, sprintId);
+    if (!sprint)
+      return sendResponse(res, 404, 'Project or sprint not found');
+
+    if (!isProjectOwner(project, req.user.userId))
+      return sendResponse(res, 403, 'Only the project owner can complete a sprint');
+
+    if (sprint.state !== 'active')
+      return sendResponse(res, 400, 'Only the active sprint can be completed');
+
+    let target = null;
+    if (moveUnfinishedTo === 'next') {
+      target = findNextPlannedSprint(project, sprint._id);
+      if (!target)
+        return sendResponse(res, 400, 'There is no planned sprint to move unfinished cards to');
+    } else if (moveUnfinishedTo !== 'backlog') {
+      target = isValidObjectId(moveUnfinishedTo) ? findSprint(project, moveUnfinishedTo) : null;
+      if (!target || target.state !== 'planned')
+        return sendResponse(res, 400, 'moveUnfinishedTo must be "backlog", "next" or the id of a planned sprint');
+    }
+
+    const now = new Date();
+    const columns = sortColumnsByOrder(project.columns || []);
+    const completedCards = [];
+    const carriedOverCards = [];
+    const backlogCards = [];
+
+    // Cards going back to the backlog leave the board, so their activity is
+    // recorded here rather than by saveProjectColumns.
+    const nextColumns = columns.map((column) => {
+      const isDone = isDoneColumnName(columns, column.name);
+      const cards = [];
+
+      (column.cards || []).forEach((card) => {
+        const inSprint = card.sprint && String(card.sprint) === String(sprint._id);
+
+        if (!inSprint || isDone) {
+          if (inSprint)
+            completedCards.push(card._id);
+
+          cards.push(card);
+          return;
+        }
+
+        carriedOverCards.push(card._id);
+        if (target) {
+          cards.push({ ...card, sprint: target._id });
+          return;
+        }
+
+        const changes = { sprint: null, backlogAt: now };
+        backlogCards.push({
+          ...card,
+          ...changes,
+          updatedAt: now,
+          activity: [...(card.activity || []), ...buildCardActivity(card, changes, req.user.userId, now)]
+        });
+      });
+
+      return { ...column, cards };
+    });
+
+    const sprints = (project.sprints || []).map((entry) => (
+      String(entry._id) === String(sprint._id)
+        ? {
+          ...entry,
+          state: 'closed',
+          completedAt: now,
+          completedBy: req.user.userId,
+          completedCards,
+          carriedOverCards,
+          carriedOverTo: target ? target._id : null
+        }
+        : entry
+    ));
+
+    const updatedProject = await saveProjectColumns(project, req.user.userId, nextColumns, {
+      backlogCards,
+      fields: { sprints }
+    });
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    return sendResponse(res, 200, 'Sprint completed', {
+      sprint: findSprint(updatedProject, sprintId),
+      completedCards: completedCards.length,
+      carriedOverCards: carriedOverCards.length,
+      carriedOverTo: target ? target._id : null
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Complete sprint error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const User = require('../../Models/User');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  isValidObjectId,
+  cardArrayFilters,
+  findCardContext,
+  findContextCard
+} = require('./helpers');
+
+const router = express.Router();
+
+async function describeCardWatchers(card = {}) {
+  const watcherIds = (card.watchers || []).map(String);
+  const users = await User.find({ _id: { $in: watcherIds } }, { email: 1, fullName: 1 }).lean();
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  return watcherIds.map((id) => ({
+    user: id,
+    email: usersById.get(id)?.email || null,
+    fullName: usersById.get(id)?.fullName || ''
+  }));
+}
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/watchers:
+ *   get:
+ *     summary: List the users watching a card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Watchers fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/CardWatchers'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/watchers', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    return sendResponse(res, 200, 'Watchers fetched', {
+      watchers: await describeCardWatchers(context.card),
+      watching: (context.card.watchers || []).some((id) => String(id) === String(req.user.userId))
+    });
+  } catch (err) {
+    return handleRouteError(res, 'List watchers error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/watchers:
+ *   post:
+ *     summary: Start watching a card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Watching the card
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/CardWatchers'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/watchers', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $addToSet: { [context.fieldPath('watchers')]: new mongoose.Types.ObjectId(req.user.userId) },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 200, 'Watching card', {
+      watchers: await describeCardWatchers(card),
+      watching: true
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Watch card error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/watchers:
+ *   delete:
+ *     summary: Stop watching a card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: No longer watching the card
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/CardWatchers'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/cards/:cardId/watchers', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      {
+        $pull: { [context.fieldPath('watchers')]: new mongoose.Types.ObjectId(req.user.userId) },
+        $inc: { __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 200, 'Stopped watching card', {
+      watchers: await describeCardWatchers(card),
+      watching: false
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Unwatch card error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,679 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../Models/Project');
+const User = require('../../Models/User');
+const authMiddleware = require('../../middleware/authMiddleware');
+const {
+  sendResponse,
+  handleRouteError,
+  buildProjectAccessQuery,
+  isValidObjectId,
+  isNonNegativeNumber,
+  cardArrayFilters,
+  buildCardActivity,
+  sendBoardConflict,
+  findCardContext,
+  findContextCard,
+  collectProjectCards,
+  parseDateRange,
+  isWithinRange
+} = require('./helpers');
+
+const router = express.Router();
+
+function validateWorklogPayload(payload = {}, { requireMinutes = false } = {}) {
+  const { minutes, startedAt, note, remainingEstimate } = payload;
+
+  if (requireMinutes || minutes !== undefined) {
+    if (!Number.isInteger(minutes) || minutes < 1)
+      return 'Worklog minutes must be a positive whole number';
+  }
+
+  if (startedAt !== undefined && startedAt !== null && Number.isNaN(new Date(startedAt).getTime()))
+    return 'Invalid worklog start date';
+
+  if (note !== undefined && note !== null && typeof note !== 'string')
+    return 'Worklog note must be a string';
+
+  if (remainingEstimate !== undefined && remainingEstimate !== null && !isNonNegativeNumber(remainingEstimate))
+    return 'remainingEstimate must be a non-negative number of minutes';
+
+  return null;
+}
+
+function summarizeWorklogs(projects = [], range = {}, userId = null) {
+  const byUser = new Map();
+  const byProject = [];
+  const byCard = [];
+  let totalMinutes = 0;
+
+  projects.forEach((project) => {
+    let projectMinutes = 0;
+
+    collectProjectCards(project).forEach((card) => {
+      const worklogs = (card.worklogs || []).filter((worklog) =>
+        isWithinRange(worklog.startedAt, range)
+        && (!userId || String(worklog.author) === String(userId))
+      );
+
+      if (!worklogs.length)
+        return;
+
+      const cardMinutes = worklogs.reduce((sum, worklog) => sum + worklog.minutes, 0);
+
+      worklogs.forEach((worklog) => {
+        const authorId = String(worklog.author);
+        byUser.set(authorId, (byUser.get(authorId) || 0) + worklog.minutes);
+      });
+
+      byCard.push({
+        projectId: project._id,
+        cardId: card._id,
+        key: card.key || null,
+        title: card.title,
+        storyPoints: card.storyPoints ?? null,
+        originalEstimate: card.originalEstimate ?? null,
+        remainingEstimate: card.remainingEstimate ?? null,
+        timeSpent: card.timeSpent || 0,
+        minutesInRange: cardMinutes
+      });
+
+      projectMinutes += cardMinutes;
+    });
+
+    if (projectMinutes) {
+      byProject.push({
+        projectId: project._id,
+        name: project.name,
+        key: project.key || null,
+        minutes: projectMinutes
+      });
+    }
+
+    totalMinutes += projectMinutes;
+  });
+
+  return {
+    totalMinutes,
+    byProject,
+    byUser: Array.from(byUser, ([user, minutes]) => ({ user, minutes })),
+    byCard
+  };
+}
+
+async function attachWorklogUsers(summary) {
+  const users = await User.find(
+    { _id: { $in: summary.byUser.map((entry) => entry.user) } },
+    { email: 1, fullName: 1 }
+  ).lean();
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  summary.byUser = summary.byUser.map((entry) => ({
+    ...entry,
+    email: usersById.get(entry.user)?.email || null,
+    fullName: usersById.get(entry.user)?.fullName || ''
+  }));
+
+  return summary;
+}
+
+function buildTimeTracking(card = {}) {
+  return {
+    storyPoints: card.storyPoints ?? null,
+    originalEstimate: card.originalEstimate ?? null,
+    remainingEstimate: card.remainingEstimate ?? null,
+    timeSpent: card.timeSpent || 0
+  };
+}
+
+/**
+ * @swagger
+ * /projects/worklogs:
+ *   get:
+ *     summary: Total logged time across the caller's projects, per project and per user
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without a time covers the whole day
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only count worklogs by this user
+ *     responses:
+ *       200:
+ *         description: Worklog report fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/WorklogReport'
+ *       400:
+ *         description: Invalid date range or user id
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/worklogs', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (userId && !isValidObjectId(userId))
+      return sendResponse(res, 400, 'Invalid user id');
+
+    const { range, error } = parseDateRange(req.query);
+    if (error)
+      return sendResponse(res, 400, error);
+
+    const projects = await Project.find(
+      {
+        $or: [
+          { owner: req.user.userId },
+          { 'members.user': req.user.userId }
+        ]
+      },
+      { name: 1, key: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1 }
+    ).lean();
+
+    const report = await attachWorklogUsers(summarizeWorklogs(projects, range, userId));
+
+    return sendResponse(res, 200, 'Worklog report fetched', report);
+  } catch (err) {
+    return handleRouteError(res, 'Worklog report error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/worklogs:
+ *   get:
+ *     summary: Logged time for one project, per user and per card with estimates
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without a time covers the whole day
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only count worklogs by this user
+ *     responses:
+ *       200:
+ *         description: Worklog report fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - $ref: '#/components/schemas/WorklogReport'
+ *       400:
+ *         description: Invalid date range or user id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/worklogs', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { userId } = req.query;
+
+    if (userId && !isValidObjectId(userId))
+      return sendResponse(res, 400, 'Invalid user id');
+
+    const { range, error } = parseDateRange(req.query);
+    if (error)
+      return sendResponse(res, 400, error);
+
+    const project = await Project.findOne(
+      buildProjectAccessQuery(projectId, req.user.userId),
+      { name: 1, key: 1, columns: 1, backlog: 1, archivedCards: 1, trash: 1 }
+    ).lean();
+
+    if (!project)
+      return sendResponse(res, 404, 'Project not found');
+
+    const report = await attachWorklogUsers(summarizeWorklogs([project], range, userId));
+
+    return sendResponse(res, 200, 'Worklog report fetched', report);
+  } catch (err) {
+    return handleRouteError(res, 'Project worklog report error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/worklogs:
+ *   get:
+ *     summary: List a card's worklogs with its estimates
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Worklogs fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BaseResponse'
+ *                 - type: object
+ *                   properties:
+ *                     worklogs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Worklog'
+ *                     timeTracking:
+ *                       $ref: '#/components/schemas/TimeTracking'
+ *       400:
+ *         description: Invalid card id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/cards/:cardId/worklogs', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const worklogs = [...(context.card.worklogs || [])].sort(
+      (a, b) => new Date(b.startedAt) - new Date(a.startedAt)
+    );
+
+    return sendResponse(res, 200, 'Worklogs fetched', {
+      worklogs,
+      timeTracking: buildTimeTracking(context.card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'List worklogs error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/worklogs:
+ *   post:
+ *     summary: Log time against a card
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - minutes
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               note:
+ *                 type: string
+ *               remainingEstimate:
+ *                 type: number
+ *                 description: New remaining estimate in minutes
+ *     responses:
+ *       201:
+ *         description: Time logged
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project or card not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/cards/:cardId/worklogs', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId } = req.params;
+    const payload = req.body || {};
+
+    if (!isValidObjectId(cardId))
+      return sendResponse(res, 400, 'Invalid card id');
+
+    const validationError = validateWorklogPayload(payload, { requireMinutes: true });
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const now = new Date();
+    const worklogId = new mongoose.Types.ObjectId();
+    const update = {
+      $push: {
+        [context.fieldPath('worklogs')]: {
+          _id: worklogId,
+          author: req.user.userId,
+          minutes: payload.minutes,
+          startedAt: payload.startedAt ? new Date(payload.startedAt) : now,
+          note: payload.note || '',
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      $set: { [context.fieldPath('updatedAt')]: now },
+      $inc: { [context.fieldPath('timeSpent')]: payload.minutes, __v: 1 }
+    };
+
+    if (payload.remainingEstimate !== undefined) {
+      const remaining = { remainingEstimate: payload.remainingEstimate };
+      const activity = buildCardActivity(context.card, remaining, req.user.userId, now);
+
+      update.$set[context.fieldPath('remainingEstimate')] = payload.remainingEstimate;
+      if (activity.length)
+        update.$push[context.fieldPath('activity')] = { $each: activity };
+    }
+
+    const updatedProject = await Project.findOneAndUpdate(
+      context.accessQuery,
+      update,
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 201, 'Time logged', {
+      worklog: card.worklogs.find((entry) => String(entry._id) === String(worklogId)),
+      timeTracking: buildTimeTracking(card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Log time error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/worklogs/{worklogId}:
+ *   patch:
+ *     summary: Edit a worklog entry (author only)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: worklogId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Worklog updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the author can edit the worklog
+ *       404:
+ *         description: Project, card or worklog not found
+ *       409:
+ *         description: Worklog was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/cards/:cardId/worklogs/:worklogId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, worklogId } = req.params;
+    const { minutes, startedAt, note } = req.body || {};
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(worklogId))
+      return sendResponse(res, 400, 'Invalid card or worklog id');
+
+    if (minutes === undefined && startedAt === undefined && note === undefined)
+      return sendResponse(res, 400, 'Provide minutes, startedAt or note to update');
+
+    const validationError = validateWorklogPayload({ minutes, startedAt, note });
+    if (validationError)
+      return sendResponse(res, 400, validationError);
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const existing = (context.card.worklogs || []).find(
+      (worklog) => String(worklog._id) === String(worklogId)
+    );
+
+    if (!existing)
+      return sendResponse(res, 404, 'Worklog not found');
+
+    if (String(existing.author) !== String(req.user.userId))
+      return sendResponse(res, 403, 'Only the author can edit this worklog');
+
+    const now = new Date();
+    const worklogPath = (field) => `${context.fieldPath('worklogs')}.$[worklog].${field}`;
+    const $set = {
+      [context.fieldPath('updatedAt')]: now,
+      [worklogPath('updatedAt')]: now
+    };
+
+    if (minutes !== undefined)
+      $set[worklogPath('minutes')] = minutes;
+    if (startedAt !== undefined)
+      $set[worklogPath('startedAt')] = startedAt ? new Date(startedAt) : existing.startedAt;
+    if (note !== undefined)
+      $set[worklogPath('note')] = note || '';
+
+    // Matching the minutes that were read keeps timeSpent in step with the entries.
+    const worklogObjectId = new mongoose.Types.ObjectId(worklogId);
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...context.accessQuery,
+        [context.queryPath('worklogs')]: { $elemMatch: { _id: worklogObjectId, minutes: existing.minutes } }
+      },
+      {
+        $set,
+        $inc: {
+          [context.fieldPath('timeSpent')]: minutes !== undefined ? minutes - existing.minutes : 0,
+          __v: 1
+        }
+      },
+      {
+        new: true,
+        arrayFilters: [...cardArrayFilters(cardId), { 'worklog._id': worklogObjectId }]
+      }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 200, 'Worklog updated', {
+      worklog: card.worklogs.find((entry) => String(entry._id) === String(worklogId)),
+      timeTracking: buildTimeTracking(card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Update worklog error', err);
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/cards/{cardId}/worklogs/{worklogId}:
+ *   delete:
+ *     summary: Delete a worklog entry (author only)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: worklogId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Worklog deleted
+ *       400:
+ *         description: Invalid id
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the author can delete the worklog
+ *       404:
+ *         description: Project, card or worklog not found
+ *       409:
+ *         description: Worklog was changed by another request
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/cards/:cardId/worklogs/:worklogId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, cardId, worklogId } = req.params;
+
+    if (!isValidObjectId(cardId) || !isValidObjectId(worklogId))
+      return sendResponse(res, 400, 'Invalid card or worklog id');
+
+    const context = await findCardContext(projectId, req.user.userId, cardId);
+    if (!context)
+      return sendResponse(res, 404, 'Project or card not found');
+
+    const existing = (context.card.worklogs || []).find(
+      (worklog) => String(worklog._id) === String(worklogId)
+    );
+
+    if (!existing)
+      return sendResponse(res, 404, 'Worklog not found');
+
+    if (String(existing.author) !== String(req.user.userId))
+      return sendResponse(res, 403, 'Only the author can delete this worklog');
+
+    const worklogObjectId = new mongoose.Types.ObjectId(worklogId);
+    const updatedProject = await Project.findOneAndUpdate(
+      {
+        ...context.accessQuery,
+        [context.queryPath('worklogs')]: { $elemMatch: { _id: worklogObjectId, minutes: existing.minutes } }
+      },
+      {
+        $pull: { [context.fieldPath('worklogs')]: { _id: worklogObjectId } },
+        $set: { [context.fieldPath('updatedAt')]: new Date() },
+        $inc: { [context.fieldPath('timeSpent')]: -existing.minutes, __v: 1 }
+      },
+      { new: true, arrayFilters: cardArrayFilters(cardId) }
+    );
+
+    if (!updatedProject)
+      return sendBoardConflict(res);
+
+    const card = findContextCard(updatedProject, context, cardId);
+
+    return sendResponse(res, 200, 'Worklog deleted', {
+      worklogId,
+      timeTracking: buildTimeTracking(card)
+    });
+  } catch (err) {
+    return handleRouteError(res, 'Delete worklog error', err);
+  }
+});
+
+module.exports = router;
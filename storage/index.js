@@ -0,0 +1,34 @@
+// storage/index.js
+// Attachment storage drivers implement:
+//   save({ buffer, originalName, mimeType }) -> Promise<storageKey>
+//   createReadStream(storageKey) -> Readable
+//   remove(storageKey) -> Promise<void>
+const createLocalDiskStorage = require('./localDisk');
+
+const drivers = {
+  local: createLocalDiskStorage
+};
+
+function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+function createAttachmentStorage(name = process.env.ATTACHMENT_STORAGE || 'local', options = {}) {
+  const factory = drivers[name];
+  if (!factory)
+    throw new Error(`Unknown attachment storage driver: ${name}`);
+
+  return factory(options);
+}
+
+let sharedStorage = null;
+
+// The driver configured through ATTACHMENT_STORAGE, created on first use.
+function getAttachmentStorage() {
+  if (!sharedStorage)
+    sharedStorage = createAttachmentStorage();
+
+  return sharedStorage;
+}
+
+module.exports = { createAttachmentStorage, getAttachmentStorage, registerStorageDriver };
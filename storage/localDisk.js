@@ -0,0 +1,39 @@
+// storage/localDisk.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function createLocalDiskStorage({ directory } = {}) {
+  const root = path.resolve(directory || process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads'));
+
+  // Keys are generated here, but never trust one to stay inside the root.
+  function resolveKey(storageKey) {
+    const filePath = path.resolve(root, String(storageKey));
+    if (!filePath.startsWith(root + path.sep))
+      throw new Error(`Invalid storage key: ${storageKey}`);
+
+    return filePath;
+  }
+
+  async function save({ buffer, originalName = '' }) {
+    const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const storageKey = `${crypto.randomUUID()}${extension}`;
+
+    await fs.promises.mkdir(root, { recursive: true });
+    await fs.promises.writeFile(resolveKey(storageKey), buffer);
+
+    return storageKey;
+  }
+
+  function createReadStream(storageKey) {
+    return fs.createReadStream(resolveKey(storageKey));
+  }
+
+  async function remove(storageKey) {
+    await fs.promises.rm(resolveKey(storageKey), { force: true });
+  }
+
+  return { name: 'local', save, createReadStream, remove };
+}
+
+module.exports = createLocalDiskStorage;
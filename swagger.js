@@ -69,11 +69,680 @@ const swaggerDefinition = {
       BoardCard: {
         type: 'object',
         properties: {
+          _id: { type: 'string', description: 'Permanent card id' },
+          number: { type: 'integer', example: 42 },
+          key: { type: 'string', example: 'WEB-42' },
           title: { type: 'string', example: 'Scrum 1' },
           description: { type: 'string', example: 'Default work item' },
           status: { type: 'string', example: 'To Do' },
           assignee: { type: 'string', nullable: true },
-          dueDate: { type: 'string', format: 'date-time' }
+          dueDate: { type: 'string', format: 'date-time' },
+          parentCard: { type: 'string', nullable: true, description: 'Parent card when this card is a subtask' },
+          checklist: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/ChecklistItem' }
+          },
+          issueType: { type: 'string', example: 'task' },
+          priority: { type: 'string', example: 'medium' },
+          epic: { type: 'string', nullable: true },
+          sprint: { type: 'string', nullable: true },
+          storyPoints: { type: 'number', nullable: true },
+          originalEstimate: { type: 'number', nullable: true, description: 'Minutes' },
+          remainingEstimate: { type: 'number', nullable: true, description: 'Minutes' },
+          timeSpent: { type: 'number', description: 'Minutes logged across all worklogs' },
+          worklogs: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Worklog' }
+          },
+          attachments: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Attachment' }
+          },
+          watchers: {
+            type: 'array',
+            description: 'Users who follow the card; the audience for card notifications',
+            items: { type: 'string' }
+          },
+          mentions: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/CardMention' }
+          },
+          customFieldValues: {
+            type: 'object',
+            description: 'Values keyed by custom field id',
+            additionalProperties: true
+          },
+          backlogAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the card was moved to the backlog; null on the board'
+          },
+          archivedAt: { type: 'string', format: 'date-time', nullable: true },
+          archivedBy: { type: 'string', nullable: true },
+          deletedAt: { type: 'string', format: 'date-time', nullable: true },
+          deletedBy: { type: 'string', nullable: true },
+          labels: {
+            type: 'array',
+            description: 'Copies of registry labels (same _id), kept in sync on rename',
+            items: { $ref: '#/components/schemas/Label' }
+          },
+          links: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/CardLink' }
+          },
+          comments: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/CardComment' }
+          },
+          activity: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/CardActivity' }
+          },
+          createdBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CardComment: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          author: { type: 'string' },
+          body: { type: 'string' },
+          parentId: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          editedAt: { type: 'string', format: 'date-time', nullable: true },
+          replies: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/CardComment' }
+          }
+        }
+      },
+      CardActivity: {
+        type: 'object',
+        properties: {
+          actor: { type: 'string', nullable: true },
+          field: { type: 'string', example: 'status' },
+          oldValue: { nullable: true, description: 'Previous value (null when the card was created)' },
+          newValue: { nullable: true },
+          at: { type: 'string', format: 'date-time' }
+        }
+      },
+      ChecklistItem: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          text: { type: 'string' },
+          done: { type: 'boolean' },
+          doneAt: { type: 'string', format: 'date-time', nullable: true },
+          doneBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CardProgress: {
+        type: 'object',
+        properties: {
+          subtasks: {
+            type: 'object',
+            properties: {
+              done: { type: 'integer' },
+              total: { type: 'integer' }
+            }
+          },
+          checklist: {
+            type: 'object',
+            properties: {
+              done: { type: 'integer' },
+              total: { type: 'integer' }
+            }
+          },
+          percentComplete: { type: 'integer', example: 50 }
+        }
+      },
+      CardLink: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', description: 'Shared by both sides of the link' },
+          type: {
+            type: 'string',
+            enum: ['blocks', 'is-blocked-by', 'relates-to', 'duplicates', 'is-duplicated-by']
+          },
+          project: { type: 'string' },
+          card: { type: 'string' },
+          createdBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CardLinkSummary: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          type: { type: 'string' },
+          createdBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          target: {
+            type: 'object',
+            nullable: true,
+            description: 'null when the card is gone or its project is not readable by the caller',
+            properties: {
+              projectId: { type: 'string' },
+              projectName: { type: 'string' },
+              cardId: { type: 'string' },
+              key: { type: 'string' },
+              title: { type: 'string' },
+              column: { type: 'string', nullable: true, description: 'null for backlog cards' },
+              done: { type: 'boolean' }
+            }
+          }
+        }
+      },
+      BlockerWarning: {
+        type: 'object',
+        properties: {
+          cardId: { type: 'string' },
+          key: { type: 'string' },
+          message: { type: 'string' },
+          blockers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                projectId: { type: 'string' },
+                cardId: { type: 'string' },
+                key: { type: 'string' },
+                title: { type: 'string' },
+                column: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      CardTransferRequest: {
+        type: 'object',
+        properties: {
+          targetProjectId: { type: 'string', description: 'Defaults to the current project when cloning' },
+          column: { type: 'string', description: 'Target column name; defaults to the first column' },
+          title: { type: 'string', description: 'Clone only: title for the copy' },
+          assignee: {
+            type: 'string',
+            nullable: true,
+            description: 'Assignee in the target project; overrides the card\'s own assignee'
+          },
+          overrideWipLimit: {
+            type: 'boolean',
+            description: 'Go over the target column\'s WIP limit'
+          }
+        }
+      },
+      CardTransferResult: {
+        type: 'object',
+        properties: {
+          card: { $ref: '#/components/schemas/BoardCard' },
+          projectId: { type: 'string' },
+          column: { type: 'string' },
+          assigneeCleared: {
+            type: 'boolean',
+            description: 'The original assignee is not a member of the target project'
+          },
+          unmapped: {
+            type: 'array',
+            description: 'References with no counterpart in the target project',
+            items: { type: 'string', example: 'label: Backend' }
+          }
+        }
+      },
+      BulkCardOperation: {
+        type: 'object',
+        required: ['action', 'cardIds'],
+        properties: {
+          action: { type: 'string', enum: ['move', 'assign', 'setDueDate', 'label', 'archive'] },
+          cardIds: { type: 'array', items: { type: 'string' } },
+          column: { type: 'string', description: 'move: target column name' },
+          position: { type: 'integer', minimum: 1, description: 'move: 1-based position in the target column' },
+          assignee: { type: 'string', nullable: true, description: 'assign: project member id, or null to unassign' },
+          dueDate: { type: 'string', format: 'date-time', nullable: true, description: 'setDueDate' },
+          add: { type: 'array', items: { type: 'string' }, description: 'label: label ids or names to add' },
+          remove: { type: 'array', items: { type: 'string' }, description: 'label: label ids or names to remove' }
+        }
+      },
+      BulkCardResults: {
+        type: 'object',
+        properties: {
+          succeeded: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                cardId: { type: 'string' },
+                key: { type: 'string', nullable: true },
+                actions: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          },
+          failed: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                cardId: { type: 'string' },
+                action: { type: 'string' },
+                error: { type: 'string' }
+              }
+            }
+          },
+          notFound: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      CustomField: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string', example: 'Environment' },
+          type: {
+            type: 'string',
+            enum: ['text', 'number', 'date', 'single-select', 'multi-select', 'user']
+          },
+          options: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['staging', 'production']
+          },
+          createdBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CardMention: {
+        type: 'object',
+        description: 'A parsed @mention; unresolved mentions match no project member (or more than one)',
+        properties: {
+          handle: { type: 'string', example: 'alice@example.com' },
+          user: { type: 'string', nullable: true },
+          email: { type: 'string', nullable: true },
+          resolved: { type: 'boolean' },
+          source: { type: 'string', enum: ['description', 'comment'] },
+          comment: { type: 'string', nullable: true }
+        }
+      },
+      CardWatchers: {
+        type: 'object',
+        properties: {
+          watchers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                user: { type: 'string' },
+                email: { type: 'string', nullable: true },
+                fullName: { type: 'string' }
+              }
+            }
+          },
+          watching: { type: 'boolean', description: 'Whether the caller watches the card' }
+        }
+      },
+      Attachment: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          fileName: { type: 'string', example: 'spec.pdf' },
+          mimeType: { type: 'string', example: 'application/pdf' },
+          size: { type: 'integer', description: 'Bytes' },
+          uploadedBy: { type: 'string', nullable: true },
+          uploadedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Worklog: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          author: { type: 'string' },
+          minutes: { type: 'integer', example: 90 },
+          startedAt: { type: 'string', format: 'date-time' },
+          note: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      TimeTracking: {
+        type: 'object',
+        description: 'Estimates and logged time are in minutes',
+        properties: {
+          storyPoints: { type: 'number', nullable: true },
+          originalEstimate: { type: 'number', nullable: true },
+          remainingEstimate: { type: 'number', nullable: true },
+          timeSpent: { type: 'number' }
+        }
+      },
+      WorklogReport: {
+        type: 'object',
+        properties: {
+          totalMinutes: { type: 'integer' },
+          byProject: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                projectId: { type: 'string' },
+                name: { type: 'string' },
+                key: { type: 'string', nullable: true },
+                minutes: { type: 'integer' }
+              }
+            }
+          },
+          byUser: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                user: { type: 'string' },
+                email: { type: 'string', nullable: true },
+                fullName: { type: 'string' },
+                minutes: { type: 'integer' }
+              }
+            }
+          },
+          byCard: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                projectId: { type: 'string' },
+                cardId: { type: 'string' },
+                key: { type: 'string', nullable: true },
+                title: { type: 'string' },
+                storyPoints: { type: 'number', nullable: true },
+                originalEstimate: { type: 'number', nullable: true },
+                remainingEstimate: { type: 'number', nullable: true },
+                timeSpent: { type: 'number' },
+                minutesInRange: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      Label: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string', example: 'frontend' },
+          color: { type: 'string', example: '#36B37E' }
+        }
+      },
+      IssueScheme: {
+        type: 'object',
+        properties: {
+          issueTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['story', 'bug', 'task', 'epic']
+          },
+          priorities: {
+            type: 'array',
+            description: 'Ordered from most to least urgent',
+            items: { type: 'string' },
+            example: ['highest', 'high', 'medium', 'low', 'lowest']
+          },
+          defaultIssueType: { type: 'string', example: 'task' },
+          defaultPriority: { type: 'string', example: 'medium' }
+        }
+      },
+      Epic: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          color: { type: 'string', example: '#6554C0' },
+          status: { type: 'string', enum: ['to-do', 'in-progress', 'done'] },
+          targetDate: { type: 'string', format: 'date-time', nullable: true },
+          createdBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Sprint: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string', example: 'Sprint 4' },
+          goal: { type: 'string' },
+          startDate: { type: 'string', format: 'date-time', nullable: true },
+          endDate: { type: 'string', format: 'date-time', nullable: true },
+          state: { type: 'string', enum: ['planned', 'active', 'closed'] },
+          startedAt: { type: 'string', format: 'date-time', nullable: true },
+          startedBy: { type: 'string', nullable: true },
+          completedAt: { type: 'string', format: 'date-time', nullable: true },
+          completedBy: { type: 'string', nullable: true },
+          committedCards: {
+            type: 'array',
+            description: 'Cards in the sprint when it started',
+            items: { type: 'string' }
+          },
+          completedCards: {
+            type: 'array',
+            description: 'Cards in a done column when the sprint was completed',
+            items: { type: 'string' }
+          },
+          carriedOverCards: {
+            type: 'array',
+            description: 'Unfinished cards moved out when the sprint was completed',
+            items: { type: 'string' }
+          },
+          carriedOverTo: {
+            type: 'string',
+            nullable: true,
+            description: 'Sprint the unfinished cards moved to; null for the backlog'
+          },
+          createdBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      SprintOverview: {
+        type: 'object',
+        properties: {
+          sprint: { $ref: '#/components/schemas/Sprint' },
+          progress: {
+            type: 'object',
+            properties: {
+              cards: { type: 'integer' },
+              doneCards: { type: 'integer' },
+              storyPoints: { type: 'number' },
+              doneStoryPoints: { type: 'number' }
+            }
+          },
+          cards: {
+            type: 'array',
+            description: 'Only returned when fetching a single sprint',
+            items: { $ref: '#/components/schemas/BoardCard' }
+          }
+        }
+      },
+      SprintBurndown: {
+        type: 'object',
+        properties: {
+          sprint: {
+            type: 'object',
+            properties: {
+              _id: { type: 'string' },
+              name: { type: 'string' },
+              state: { type: 'string', enum: ['active', 'closed'] },
+              startDate: { type: 'string', format: 'date-time' },
+              endDate: { type: 'string', format: 'date-time' },
+              completedAt: { type: 'string', format: 'date-time', nullable: true }
+            }
+          },
+          unit: { type: 'string', enum: ['cards', 'points'] },
+          committed: { type: 'number', description: 'Scope when the sprint started' },
+          series: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string', format: 'date', example: '2025-03-04' },
+                scope: { type: 'number', nullable: true, description: 'Burnup scope line' },
+                completed: { type: 'number', nullable: true, description: 'Burnup completed line' },
+                remaining: { type: 'number', nullable: true, description: 'Burndown actual line' },
+                idealRemaining: { type: 'number' },
+                idealCompleted: { type: 'number' }
+              }
+            }
+          }
+        }
+      },
+      WorkAmount: {
+        type: 'object',
+        properties: {
+          cards: { type: 'integer' },
+          points: { type: 'number' }
+        }
+      },
+      VelocityReport: {
+        type: 'object',
+        properties: {
+          sprints: {
+            type: 'array',
+            description: 'Oldest sprint first',
+            items: {
+              type: 'object',
+              properties: {
+                sprintId: { type: 'string' },
+                name: { type: 'string' },
+                startDate: { type: 'string', format: 'date-time' },
+                endDate: { type: 'string', format: 'date-time' },
+                completedAt: { type: 'string', format: 'date-time' },
+                committed: { $ref: '#/components/schemas/WorkAmount' },
+                completed: { $ref: '#/components/schemas/WorkAmount' },
+                addedMidSprint: { $ref: '#/components/schemas/WorkAmount' },
+                carriedOver: { $ref: '#/components/schemas/WorkAmount' }
+              }
+            }
+          },
+          averageVelocity: { $ref: '#/components/schemas/WorkAmount' }
+        }
+      },
+      FlowSettings: {
+        type: 'object',
+        properties: {
+          startedColumns: {
+            type: 'array',
+            nullable: true,
+            description: 'Columns where work counts as started; done columns are implied',
+            items: { type: 'string' },
+            example: ['In Progress', 'Review']
+          },
+          doneColumns: {
+            type: 'array',
+            nullable: true,
+            items: { type: 'string' },
+            example: ['Done']
+          }
+        }
+      },
+      FlowDurationSummary: {
+        type: 'object',
+        description: 'Durations in hours; empty percentiles when no card qualifies',
+        properties: {
+          count: { type: 'integer' },
+          average: { type: 'number', nullable: true },
+          min: { type: 'number', nullable: true },
+          max: { type: 'number', nullable: true },
+          percentiles: {
+            type: 'object',
+            properties: {
+              p50: { type: 'number' },
+              p75: { type: 'number' },
+              p85: { type: 'number' },
+              p95: { type: 'number' }
+            }
+          }
+        }
+      },
+      FlowRange: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' }
+        }
+      },
+      FlowMetrics: {
+        type: 'object',
+        properties: {
+          range: { $ref: '#/components/schemas/FlowRange' },
+          flowSettings: { $ref: '#/components/schemas/FlowSettings' },
+          leadTime: { $ref: '#/components/schemas/FlowDurationSummary' },
+          cycleTime: { $ref: '#/components/schemas/FlowDurationSummary' },
+          cards: {
+            type: 'array',
+            description: 'Cards finished in the range, in completion order',
+            items: {
+              type: 'object',
+              properties: {
+                cardId: { type: 'string' },
+                key: { type: 'string', nullable: true },
+                title: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                startedAt: { type: 'string', format: 'date-time', nullable: true },
+                doneAt: { type: 'string', format: 'date-time' },
+                leadTimeHours: { type: 'number' },
+                cycleTimeHours: { type: 'number', nullable: true }
+              }
+            }
+          }
+        }
+      },
+      CumulativeFlow: {
+        type: 'object',
+        properties: {
+          range: { $ref: '#/components/schemas/FlowRange' },
+          columns: {
+            type: 'array',
+            description: 'Board order, followed by statuses no longer on the board',
+            items: { type: 'string' }
+          },
+          series: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string', format: 'date', example: '2025-03-04' },
+                counts: {
+                  type: 'object',
+                  additionalProperties: { type: 'integer' },
+                  example: { 'To Do': 4, 'In Progress': 2, Done: 7 }
+                }
+              }
+            }
+          }
+        }
+      },
+      EpicOverview: {
+        type: 'object',
+        properties: {
+          epic: { $ref: '#/components/schemas/Epic' },
+          progress: {
+            type: 'object',
+            properties: {
+              done: { type: 'integer' },
+              total: { type: 'integer' },
+              percentComplete: { type: 'integer' }
+            }
+          },
+          columns: {
+            type: 'array',
+            description: 'Only returned when fetching a single epic',
+            items: {
+              type: 'object',
+              properties: {
+                column: { type: 'string' },
+                done: { type: 'boolean' },
+                cards: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/BoardCard' }
+                }
+              }
+            }
+          }
         }
       },
       BoardColumn: {
@@ -81,12 +750,46 @@ const swaggerDefinition = {
         properties: {
           name: { type: 'string', example: 'To Do' },
           order: { type: 'integer', example: 1 },
+          wipLimit: {
+            type: 'integer',
+            nullable: true,
+            minimum: 1,
+            description: 'Work-in-progress limit; null means unlimited'
+          },
+          category: {
+            type: 'string',
+            nullable: true,
+            enum: ['to-do', 'in-progress', 'done'],
+            description: 'Drives the project status. Without one the first column is to-do, the last done and the rest in progress; column reads return the effective category'
+          },
+          load: {
+            $ref: '#/components/schemas/ColumnLoad'
+          },
           cards: {
             type: 'array',
             items: { $ref: '#/components/schemas/BoardCard' }
           }
         }
       },
+      ColumnLoad: {
+        type: 'object',
+        description: 'Returned by the column listings; counts every card in the column, ignoring filters',
+        properties: {
+          count: { type: 'integer' },
+          limit: { type: 'integer', nullable: true },
+          atLimit: { type: 'boolean' },
+          overLimit: { type: 'boolean' }
+        }
+      },
+      WipLimitViolation: {
+        type: 'object',
+        description: 'Sent as `wipLimitViolations` with a 409 when a change would exceed a WIP limit',
+        properties: {
+          column: { type: 'string' },
+          limit: { type: 'integer' },
+          count: { type: 'integer', description: 'Cards the column would hold' }
+        }
+      },
       ProjectMember: {
         type: 'object',
         properties: {
@@ -131,14 +834,56 @@ const swaggerDefinition = {
         properties: {
           _id: { type: 'string' },
           name: { type: 'string' },
+          key: { type: 'string', example: 'WEB' },
+          issueCounter: { type: 'integer', description: 'Last issue number handed out' },
           description: { type: 'string' },
-          status: { type: 'string', enum: ['created', 'in-progress', 'completed'] },
+          status: {
+            type: 'string',
+            enum: ['created', 'in-progress', 'completed'],
+            description: 'Follows the board unless statusOverride is set: in-progress once a card leaves the to-do columns, completed when every card is in a done column'
+          },
+          statusOverride: {
+            type: 'boolean',
+            description: 'true when the owner set the status by hand'
+          },
           boardType: { type: 'string', enum: ['scrum', 'kanban'] },
-          currentSprint: { type: 'string' },
+          currentSprint: { type: 'string', description: 'Name of the active sprint' },
+          sprints: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Sprint' }
+          },
           columns: {
             type: 'array',
             items: { $ref: '#/components/schemas/BoardColumn' }
           },
+          labels: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Label' }
+          },
+          issueScheme: { $ref: '#/components/schemas/IssueScheme' },
+          epics: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Epic' }
+          },
+          customFields: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/CustomField' }
+          },
+          flowSettings: { $ref: '#/components/schemas/FlowSettings' },
+          backlog: {
+            type: 'array',
+            description: 'Cards kept off the board, highest rank first',
+            items: { $ref: '#/components/schemas/BoardCard' }
+          },
+          archivedCards: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/BoardCard' }
+          },
+          trash: {
+            type: 'array',
+            description: 'Deleted cards, restorable for 30 days',
+            items: { $ref: '#/components/schemas/BoardCard' }
+          },
           members: {
             type: 'array',
             items: { $ref: '#/components/schemas/ProjectMember' }
@@ -157,7 +902,7 @@ const swaggerDefinition = {
 
 const options = {
   swaggerDefinition,
-  apis: ['./routes/*.js']
+  apis: ['./routes/*.js', './routes/projects/*.js']
 };
 
 module.exports = swaggerJSDoc(options);